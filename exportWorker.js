@@ -0,0 +1,56 @@
+// Export worker - builds a dataset from the job description the renderer sent, off the
+// renderer and off the main process event loop. main.js starts one per export job.
+const { parentPort, workerData } = require('worker_threads');
+const { pathToFileURL } = require('url');
+const path = require('path');
+
+// The dataset modules are shared with the renderer, where nodeIntegration provides require
+globalThis.require = require;
+
+// Pixel work (decode, crop, scale, encode) needs nativeImage, which only the main process has
+const pendingRenders = new Map();
+let nextRenderId = 0;
+
+parentPort.on('message', message => {
+  if (message.type !== 'rendered') return;
+
+  const pending = pendingRenders.get(message.id);
+  pendingRenders.delete(message.id);
+  if (message.error) {
+    pending.reject(new Error(message.error));
+  } else {
+    pending.resolve();
+  }
+});
+
+function renderImages(request) {
+  return new Promise((resolve, reject) => {
+    const id = nextRenderId++;
+    pendingRenders.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'render', id, request });
+  });
+}
+
+async function run() {
+  const { job, workDir } = workerData;
+  const builderPath = path.join(__dirname, 'js', 'modules', 'datasetBuilder.js');
+  const { DatasetBuilder } = await import(pathToFileURL(builderPath).href);
+
+  const builder = new DatasetBuilder(job.project, {
+    workDir,
+    onProgress: (done, total) => parentPort.postMessage({ type: 'progress', done, total }),
+    renderImages
+  });
+  const result = await builder.build(job.format, job.options);
+
+  // Datasets come back as DatasetArchive entries, single files as their text
+  if (typeof result === 'string') {
+    parentPort.postMessage({ type: 'done', content: result, missingImages: [] });
+  } else {
+    parentPort.postMessage({ type: 'done', entries: result.entries, missingImages: result.missingImages });
+  }
+}
+
+run().catch(error => {
+  parentPort.postMessage({ type: 'error', error: error.message });
+});
@@ -6,25 +6,32 @@ import { NotificationManager } from './modules/notification.js';
 import { HistoryManager } from './modules/history.js';
 import { UIManager } from './modules/ui.js';
 import { ExportManager } from './modules/export.js';
+import { ImportManager } from './modules/import.js';
 import { CanvasManager } from './modules/canvas.js';
+import { ProjectManager } from './modules/project.js';
 
 // ========== MAIN APPLICATION ==========
 class TagiFLYApp {
     constructor() {
         // Core Data
         this.images = [];
+        this.folderPath = null;
         this.currentImageIndex = 0;
         this.labels = [...CONFIG.DEFAULT_LABELS];
         this.labelColors = {};
+        this.labelIds = {}; // label -> dataset id (Cityscapes labelIds), edited in the label import/export tab
         this.selectedLabel = null;
         this.annotations = {};
+        this.imageTags = {}; // image path -> image-level labels, used by the classification export
         this.currentImageView = 'grid';
 
         // Simple Managers
         this.historyManager = new HistoryManager(this);
         this.uiManager = new UIManager(this);
         this.exportManager = new ExportManager(this);
+        this.importManager = new ImportManager(this);
         this.canvasManager = new CanvasManager(this);
+        this.projectManager = new ProjectManager(this);
 
         // Canvas reference
         this.canvas = null;
@@ -124,6 +131,11 @@ class TagiFLYApp {
             }
         });
         
+        // Write pending project changes before the window goes away
+        window.addEventListener('beforeunload', () => {
+            this.projectManager.flush();
+        });
+        
         // Set default tool
         this.selectTool('boundingbox');
         
@@ -135,6 +147,9 @@ class TagiFLYApp {
             console.log('✅ TagiFLY Simple System Ready!');
             NotificationManager.success('TagiFLY Simple System Ready!');
 
+            // Offer to replay unsaved edits if the last session crashed
+            this.projectManager.checkRecovery();
+
         } catch (error) {
             console.error('❌ TagiFLY Error:', error);
             NotificationManager.error('Failed to initialize TagiFLY Simple System');
@@ -900,6 +915,7 @@ class TagiFLYApp {
                 // Check if point is near any pose keypoint
                 if (annotation.keypoints) {
                     for (const keypoint of annotation.keypoints) {
+                        if (keypoint.visibility === 0) continue; // not labeled (imported datasets)
                         const poseDistance = Math.sqrt((x - keypoint.x) ** 2 + (y - keypoint.y) ** 2);
                         if (poseDistance <= 25) { // 25px radius for easier selection
                             return true;
@@ -1074,6 +1090,7 @@ class TagiFLYApp {
             if (annotation.keypoints) {
                 for (let i = 0; i < annotation.keypoints.length; i++) {
                     const kp = annotation.keypoints[i];
+                    if (kp.visibility === 0) continue;
                     const handleCanvasCoords = this.imageToCanvasCoords(kp.x, kp.y);
                     if (Math.abs(x - handleCanvasCoords.x) <= 12 && Math.abs(y - handleCanvasCoords.y) <= 12) {
                         return { x: kp.x, y: kp.y, type: 'move', keypointIndex: i };
@@ -2862,7 +2879,7 @@ class TagiFLYApp {
                         const startPoint = annotation.keypoints[startIndex];
                         const endPoint = annotation.keypoints[endIndex];
                         
-                        if (startPoint && endPoint) {
+                        if (startPoint && endPoint && startPoint.visibility !== 0 && endPoint.visibility !== 0) {
                             ctx.beginPath();
                             ctx.moveTo(startPoint.x, startPoint.y);
                             ctx.lineTo(endPoint.x, endPoint.y);
@@ -2877,6 +2894,9 @@ class TagiFLYApp {
                 ctx.lineWidth = 2;
                 
                 annotation.keypoints.forEach((keypoint, index) => {
+                    // Unlabeled keypoints (visibility 0) only keep their slot in the template order
+                    if (keypoint.visibility === 0) return;
+                    
                     // Draw keypoint circle
                     ctx.beginPath();
                     ctx.arc(keypoint.x, keypoint.y, 8, 0, 2 * Math.PI);
@@ -2897,6 +2917,7 @@ class TagiFLYApp {
                     ctx.strokeStyle = '#007AFF';
                     ctx.lineWidth = 3;
                     annotation.keypoints.forEach(keypoint => {
+                        if (keypoint.visibility === 0) return;
                         ctx.beginPath();
                         ctx.arc(keypoint.x, keypoint.y, 12, 0, 2 * Math.PI);
                         ctx.stroke();
@@ -2906,7 +2927,8 @@ class TagiFLYApp {
                 ctx.restore();
                 
                 // Draw label
-                this.drawLabel(annotation.label, annotation.keypoints[0].x, annotation.keypoints[0].y - 15);
+                const labelKeypoint = annotation.keypoints.find(kp => kp.visibility !== 0) || annotation.keypoints[0];
+                this.drawLabel(annotation.label, labelKeypoint.x, labelKeypoint.y - 15);
                 break;
         }
 
@@ -3003,6 +3025,19 @@ class TagiFLYApp {
         this.exportManager.exportAnnotations(format);
     }
 
+    // ========== IMPORT METHODS ==========
+    openImportModal() {
+        this.importManager.openImportModal();
+    }
+
+    closeImportModal() {
+        this.importManager.closeImportModal();
+    }
+
+    importAnnotations(format) {
+        this.importManager.importAnnotations(format);
+    }
+
     // ========== ANNOTATION MANAGEMENT ==========
     duplicateSelected() {
         if (this.selectedAnnotations.size === 0) return;
@@ -0,0 +1,49 @@
+// TagiFLY Dataset Archive Module
+// Describes a dataset zip (generated label files + source images by path); the export
+// worker builds it and the main process writes it, copying image bytes straight from disk
+
+export class DatasetArchive {
+    constructor() {
+        this.entries = [];
+        this.missingImages = []; // sources the builder had to read itself and could not find or decode
+    }
+
+    // Generated content - string or Uint8Array
+    file(name, content) {
+        this.entries.push({ name, content });
+        return this;
+    }
+
+    // Generated file that describes the whole dataset (class list, data.yaml, COCO JSON,
+    // split lists). Folder exports always rewrite these, even when keeping existing files,
+    // so they never disagree with the label files written next to them.
+    metadata(name, content) {
+        this.entries.push({ name, content, metadata: true });
+        return this;
+    }
+
+    // Empty directory (e.g. images/test before any image lands there)
+    folder(name) {
+        this.entries.push({ name: name.endsWith('/') ? name : `${name}/`, folder: true });
+        return this;
+    }
+
+    // Source image copied as-is from disk by the main process
+    image(name, sourcePath) {
+        this.entries.push({ name, source: sourcePath });
+        return this;
+    }
+
+    // Generated binary file the builder already wrote to disk (mask PNGs, TFRecord shards,
+    // crops), streamed by the main process like an image instead of being sent between threads
+    written(name, filePath) {
+        this.entries.push({ name, source: filePath });
+        return this;
+    }
+
+    // Source image that had to be embedded (e.g. into a TFRecord) but could not be read
+    missing(sourcePath) {
+        this.missingImages.push(sourcePath);
+        return this;
+    }
+}
@@ -37,6 +37,11 @@ export const CONFIG = {
         MAX_SIZE: 50
     },
 
+    // Project Settings
+    PROJECT: {
+        AUTOSAVE_DELAY: 1000 // ms of inactivity before the project file is written
+    },
+
     // Mask Settings
     MASK: {
         DEFAULT_BRUSH_SIZE: 20,
@@ -0,0 +1,2119 @@
+// TagiFLY Dataset Builder Module
+// Turns an export job description (format, options, images, annotations, labels) into
+// dataset files. Runs in the export worker thread, never in the renderer.
+
+import { CONFIG } from './config.js';
+import { ImageUtils } from './imageUtils.js';
+import { MaskRasterizer } from './raster.js';
+import { PNGEncoder } from './png.js';
+import { DatasetSplitter } from './split.js';
+import { DatasetArchive } from './archive.js';
+import { TFRecordEncoder } from './tfrecord.js';
+import { ImageTiler } from './tiling.js';
+const fs = require('fs');
+const path = require('path');
+
+// TFRecord shards are closed once they pass this size
+const TFRECORD_SHARD_BYTES = 100 * 1024 * 1024;
+
+// Cityscapes writes labelIds as 8-bit and instanceIds (labelId * 1000 + n) as 16-bit PNGs
+const CITYSCAPES_MAX_LABEL_ID = 255;
+const CITYSCAPES_MAX_INSTANCE_ID = 65535;
+
+// Formats that name their images without bundling them; tiled or resized exports add the
+// prepared images to these under images/ (single files are zipped together with them)
+const IMAGE_FOLDER_FORMATS = ['coco', 'cvat', 'createml', 'tfcsv', 'cityscapes', 'masks'];
+
+// Default file name and exporter per format; the file name's extension is the output type
+const FORMATS = {
+    'json': { fileName: 'tagifly_annotations.json', build: builder => builder.exportToJSON() },
+    'labelme': { fileName: 'labelme_dataset.zip', build: (builder, options) => builder.exportToLabelMe(options) },
+    'yolo': { fileName: 'yolo_dataset.zip', build: (builder, options) => builder.exportToYOLO(options) },
+    'yolo-seg': { fileName: 'yolo_seg_dataset.zip', build: (builder, options) => builder.exportToYOLOSegmentation(options) },
+    'yolo-pose': { fileName: 'yolo_pose_dataset.zip', build: (builder, options) => builder.exportToYOLOPose(options) },
+    'coco': { fileName: 'coco_annotations.json', build: (builder, options) => builder.exportToCOCO(options) },
+    'pascal': { fileName: 'pascal_voc_dataset.zip', build: (builder, options) => builder.exportToPascalVOC(options) },
+    'cvat': { fileName: 'annotations.xml', build: builder => builder.exportToCVAT() },
+    'kitti': { fileName: 'kitti_dataset.zip', build: (builder, options) => builder.exportToKITTI(options) },
+    'dota': { fileName: 'dota_dataset.zip', build: (builder, options) => builder.exportToDOTA(options) },
+    'createml': { fileName: 'createml_annotations.json', build: builder => builder.exportToCreateML() },
+    'tfcsv': { fileName: 'tf_annotations.csv', build: builder => builder.exportToTFCSV() },
+    'tfrecord': { fileName: 'tfrecord_dataset.zip', build: (builder, options) => builder.exportToTFRecord(options) },
+    'cityscapes': { fileName: 'cityscapes_dataset.zip', build: (builder, options) => builder.exportToCityscapes(options) },
+    'classification': { fileName: 'classification_dataset.zip', build: (builder, options) => builder.exportToClassification(options) },
+    'masks': { fileName: 'png_masks.zip', build: builder => builder.exportToMasks() }
+};
+
+// Split COCO exports are one annotation file per split, zipped together
+const COCO_SPLIT_FORMAT = { fileName: 'coco_dataset.zip', build: (builder, options) => builder.exportToCOCOSplits(options) };
+
+export class DatasetBuilder {
+    // project: { images, annotations, imageTags, labels, labelColors, labelIds }
+    // host: { workDir, onProgress(done, total), renderImages(request) } - provided by the worker
+    constructor(project, host) {
+        this.project = project;
+        this.host = host;
+        this.done = 0;
+        this.total = project.images.length;
+        this.workFiles = 0;
+        this.lastProgress = 0;
+    }
+
+    // Output file of an export: { fileName, fileExtension, bundledFile }. Tiled or resized
+    // exports of single-file formats are zipped together with their images; bundledFile
+    // is the name the single file gets inside that zip.
+    static getOutput(format, options) {
+        const { fileName } = this.getFormat(format, options);
+        const fileExtension = fileName.split('.').pop();
+
+        // Tiles and resized images only exist in the job's work folder, so the export has
+        // to carry them or its coordinates would match no image the user has
+        if (options.tile || options.resize) {
+            if (format === 'json') {
+                throw new Error('TagiFLY JSON describes the loaded images - turn off tiling and resizing to export it');
+            }
+            if (IMAGE_FOLDER_FORMATS.includes(format) && fileExtension !== 'zip') {
+                return { fileName: `${ImageUtils.baseName(fileName)}.zip`, fileExtension: 'zip', bundledFile: fileName };
+            }
+        }
+        return { fileName, fileExtension, bundledFile: null };
+    }
+
+    static getFormat(format, options) {
+        if (format === 'coco' && options.split) return COCO_SPLIT_FORMAT;
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported format: ${format}`);
+        }
+        return FORMATS[format];
+    }
+
+    // Builds the export: a DatasetArchive for datasets, a string for single files
+    async build(format, options) {
+        const { build } = DatasetBuilder.getFormat(format, options);
+        if (!options.tile && !options.resize) {
+            return build(this, options);
+        }
+
+        options.includeImages = true;
+        const { bundledFile } = DatasetBuilder.getOutput(format, options);
+        return this.buildTransformed(() => build(this, options), options, IMAGE_FOLDER_FORMATS.includes(format), bundledFile);
+    }
+
+    // ========== JOB ==========
+    // Called once per image: reports progress to the worker, at most every 50 ms
+    async tick() {
+        this.done++;
+        if (Date.now() - this.lastProgress < 50) return;
+
+        this.lastProgress = Date.now();
+        this.host.onProgress(this.done, this.total);
+    }
+
+    // Binary output goes to the work folder and into the archive by path, so large files
+    // never sit in memory for the whole export or get copied between threads
+    async addBinaryFile(zip, name, bytes) {
+        const filePath = await this.createWorkFile(name);
+        await fs.promises.writeFile(filePath, bytes);
+        zip.written(name, filePath);
+    }
+
+    // Own subfolder so these never collide with the images prepared for tiled/resized exports
+    async createWorkFile(name) {
+        const folder = path.join(this.host.workDir, 'generated');
+        await fs.promises.mkdir(folder, { recursive: true });
+        return path.join(folder, `${this.workFiles++}-${path.basename(name)}`);
+    }
+
+    // [{ name, images }] - a single unnamed set unless a train/val/test split is requested
+    getImageSplits(options) {
+        if (!options.split) {
+            return [{ name: null, images: this.project.images }];
+        }
+
+        const splits = DatasetSplitter.split(this.project.images, {
+            ...options.split,
+            labelsOf: image => (this.project.annotations[image.path] || []).map(annotation => annotation.label)
+        });
+        console.log('🔀 Dataset split:', splits.map(split => `${split.name}: ${split.images.length}`).join(', '));
+        return splits;
+    }
+
+    // ========== TILED / RESIZED EXPORT ==========
+    // Cuts every image into overlapping tiles and/or resizes it, has the results written to
+    // the job's work folder, and runs the chosen exporter on them as if they were the loaded
+    // images. Resizing applies to each tile when both are enabled.
+    // addImageFolder puts the prepared images under images/ for formats that do not bundle
+    // images themselves; a single-file result is then wrapped in a zip as fileName.
+    async buildTransformed(build, options, addImageFolder, fileName) {
+        const { tile, resize } = options;
+
+        const images = [];
+        const annotations = {};
+        const imageTags = {};
+        const usedNames = new Set();
+        const unreadable = [];
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const imageAnnotations = this.project.annotations[image.path] || [];
+            const tags = this.project.imageTags[image.path] || [];
+            // Resizing keeps background images like a plain export; tiling only keeps tiles with objects
+            if (tile && imageAnnotations.length === 0 && tags.length === 0) continue;
+
+            let header;
+            try {
+                header = await ImageUtils.readHeader(image.path);
+            } catch (error) {
+                unreadable.push(image.path);
+                continue;
+            }
+
+            const extension = ImageUtils.encodedName(image.name).split('.').pop();
+            const rects = tile
+                ? ImageTiler.getTiles(header.width, header.height, tile.size, tile.overlap)
+                : [{ x: 0, y: 0, width: header.width, height: header.height }];
+            const prepared = [];
+
+            for (const rect of rects) {
+                let rectAnnotations = imageAnnotations;
+                if (tile) {
+                    rectAnnotations = imageAnnotations.flatMap(annotation =>
+                        this.clipAnnotationToTile(annotation, rect, tile.minVisibility)
+                    );
+                    // Tiles without objects are left out, except for tagged (classification) images
+                    if (rectAnnotations.length === 0 && tags.length === 0) continue;
+                }
+
+                const transform = resize
+                    ? this.getResizeTransform(rect.width, rect.height, resize)
+                    : { width: rect.width, height: rect.height, scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+                const name = this.getPreparedName(image.name, tile ? `_${rect.x}_${rect.y}` : '', extension, usedNames);
+                const filePath = path.join(this.host.workDir, name);
+
+                prepared.push({
+                    output: this.getImageOutput(rect, transform, filePath),
+                    image: {
+                        name: name,
+                        path: filePath,
+                        url: `file://${filePath}`,
+                        originalWidth: transform.width,
+                        originalHeight: transform.height
+                    },
+                    annotations: resize
+                        ? rectAnnotations.map(annotation => this.transformAnnotation(annotation, transform))
+                        : rectAnnotations
+                });
+            }
+            if (prepared.length === 0) continue;
+
+            try {
+                await this.host.renderImages({
+                    source: image.path,
+                    orientation: header.orientation,
+                    outputs: prepared.map(item => item.output)
+                });
+            } catch (error) {
+                console.log('⚠️ Skipping image that could not be re-encoded for export:', image.path, error.message);
+                unreadable.push(image.path);
+                continue;
+            }
+
+            prepared.forEach(item => {
+                images.push(item.image);
+                annotations[item.image.path] = item.annotations;
+                if (tags.length > 0) imageTags[item.image.path] = [...tags];
+            });
+        }
+
+        console.log(`🧩 Prepared ${images.length} export images from ${this.project.images.length} sources`);
+
+        // Exporters read this.project - point it at the prepared images while the chosen one runs
+        const project = this.project;
+        this.project = { ...project, images, annotations, imageTags };
+        this.done = 0;
+        this.total = images.length;
+        let result;
+        try {
+            result = await build();
+        } finally {
+            this.project = project;
+        }
+
+        const zip = result instanceof DatasetArchive ? result : new DatasetArchive().metadata(fileName, result);
+        unreadable.forEach(imagePath => zip.missing(imagePath));
+        if (addImageFolder) {
+            images.forEach(image => zip.image(`images/${image.name}`, image.path));
+        }
+        return zip;
+    }
+
+    // Pixel job for the main process: the source rect, scaled to drawWidth x drawHeight and
+    // placed at x, y in a width x height image (the rest is letterbox padding)
+    getImageOutput(rect, transform, filePath) {
+        return {
+            rect: rect,
+            width: transform.width,
+            height: transform.height,
+            x: Math.round(transform.offsetX),
+            y: Math.round(transform.offsetY),
+            drawWidth: Math.max(1, Math.round(rect.width * transform.scaleX)),
+            drawHeight: Math.max(1, Math.round(rect.height * transform.scaleY)),
+            filePath: filePath
+        };
+    }
+
+    // photo.png and photo.bmp both re-encode to photo.png (and tile names alike), so a taken
+    // name gets the source extension, then a counter. Compared case-insensitively for
+    // filesystems that ignore case.
+    getPreparedName(sourceName, suffix, extension, usedNames) {
+        const stem = ImageUtils.baseName(sourceName);
+        const sourceExtension = sourceName.includes('.') ? sourceName.split('.').pop() : '';
+        const candidates = [`${stem}${suffix}`, `${stem}_${sourceExtension}${suffix}`];
+
+        let name = candidates.find(candidate => !usedNames.has(`${candidate}.${extension}`.toLowerCase()));
+        for (let counter = 2; !name; counter++) {
+            const candidate = `${stem}_${sourceExtension}_${counter}${suffix}`;
+            if (!usedNames.has(`${candidate}.${extension}`.toLowerCase())) name = candidate;
+        }
+
+        usedNames.add(`${name}.${extension}`.toLowerCase());
+        return `${name}.${extension}`;
+    }
+
+    // Output size plus the scale/offset mapping source pixels onto it
+    // fixed: stretch to width x height; longest: longest side = width; letterbox: fit into a
+    // width x width square, centred on padding
+    getResizeTransform(sourceWidth, sourceHeight, resize) {
+        switch (resize.mode) {
+            case 'fixed':
+                return {
+                    width: resize.width,
+                    height: resize.height,
+                    scaleX: resize.width / sourceWidth,
+                    scaleY: resize.height / sourceHeight,
+                    offsetX: 0,
+                    offsetY: 0
+                };
+
+            case 'longest':
+                const scale = resize.width / Math.max(sourceWidth, sourceHeight);
+                const width = Math.max(1, Math.round(sourceWidth * scale));
+                const height = Math.max(1, Math.round(sourceHeight * scale));
+                return {
+                    width: width,
+                    height: height,
+                    scaleX: width / sourceWidth,
+                    scaleY: height / sourceHeight,
+                    offsetX: 0,
+                    offsetY: 0
+                };
+
+            case 'letterbox':
+                const fit = resize.width / Math.max(sourceWidth, sourceHeight);
+                return {
+                    width: resize.width,
+                    height: resize.width,
+                    scaleX: fit,
+                    scaleY: fit,
+                    offsetX: (resize.width - sourceWidth * fit) / 2,
+                    offsetY: (resize.width - sourceHeight * fit) / 2
+                };
+
+            default:
+                throw new Error(`Unknown resize mode: ${resize.mode}`);
+        }
+    }
+
+    // Maps an annotation into resized image coordinates
+    transformAnnotation(annotation, transform) {
+        const { scaleX, scaleY, offsetX, offsetY } = transform;
+        const map = p => ({ ...p, x: p.x * scaleX + offsetX, y: p.y * scaleY + offsetY });
+
+        switch (annotation.type) {
+            case 'boundingbox':
+                // A rotated box stretched unevenly is no longer a rectangle - use its extent
+                if (annotation.rotation && scaleX !== scaleY) {
+                    const corners = this.getBoxCorners(annotation).map(map);
+                    const xs = corners.map(p => p.x);
+                    const ys = corners.map(p => p.y);
+                    const box = { ...annotation, x: Math.min(...xs), y: Math.min(...ys) };
+                    box.width = Math.max(...xs) - box.x;
+                    box.height = Math.max(...ys) - box.y;
+                    delete box.rotation;
+                    return box;
+                }
+                return {
+                    ...map(annotation),
+                    width: annotation.width * scaleX,
+                    height: annotation.height * scaleY
+                };
+
+            case 'point':
+            case 'keypoint':
+                return map(annotation);
+
+            case 'polygon':
+            case 'polyline':
+                return { ...annotation, points: (annotation.points || []).map(map) };
+
+            case 'maskpaint':
+                return {
+                    ...annotation,
+                    points: (annotation.points || []).map(map),
+                    brushSize: (annotation.brushSize || 20) * (scaleX + scaleY) / 2
+                };
+
+            case 'pose':
+                // Unlabeled keypoints stay at 0, 0
+                return {
+                    ...annotation,
+                    keypoints: (annotation.keypoints || []).map(kp => kp.visibility === 0 ? kp : map(kp))
+                };
+
+            default:
+                return annotation;
+        }
+    }
+
+    // The parts of an annotation inside a tile, in tile coordinates. Shapes keeping less than
+    // minVisibility of their area (length for polylines, keypoints for poses) are dropped.
+    clipAnnotationToTile(annotation, tile, minVisibility) {
+        const toTile = p => ({ ...p, x: p.x - tile.x, y: p.y - tile.y });
+        const inside = (p, margin = 0) => p.x >= -margin && p.y >= -margin
+            && p.x <= tile.width + margin && p.y <= tile.height + margin;
+        const visible = ratio => ratio > 0 && ratio >= minVisibility;
+
+        switch (annotation.type) {
+            case 'boundingbox':
+                const corners = this.getBoxCorners(annotation).map(toTile);
+                const clipped = ImageTiler.clipPolygon(corners, tile.width, tile.height);
+                const boxArea = ImageTiler.polygonArea(corners);
+                if (clipped.length < 3 || boxArea === 0) return [];
+
+                const ratio = ImageTiler.polygonArea(clipped) / boxArea;
+                if (!visible(ratio)) return [];
+
+                // Whole boxes keep their rotation; cut ones become the extent of what is left
+                if (ratio >= 1 - 1e-9) {
+                    return [{ ...annotation, x: annotation.x - tile.x, y: annotation.y - tile.y }];
+                }
+                const xs = clipped.map(p => p.x);
+                const ys = clipped.map(p => p.y);
+                const box = { ...annotation, x: Math.min(...xs), y: Math.min(...ys) };
+                box.width = Math.max(...xs) - box.x;
+                box.height = Math.max(...ys) - box.y;
+                delete box.rotation;
+                return [box];
+
+            case 'point':
+            case 'keypoint':
+                const point = toTile(annotation);
+                return inside(point) ? [point] : [];
+
+            case 'polygon':
+                if (!annotation.points || annotation.points.length < 3) return [];
+                const polygon = annotation.points.map(toTile);
+                const area = ImageTiler.polygonArea(polygon);
+                const clippedPolygon = ImageTiler.clipPolygon(polygon, tile.width, tile.height);
+                if (clippedPolygon.length < 3 || area === 0) return [];
+                if (!visible(ImageTiler.polygonArea(clippedPolygon) / area)) return [];
+                return [{ ...annotation, points: clippedPolygon }];
+
+            case 'polyline':
+                if (!annotation.points || annotation.points.length < 2) return [];
+                return this.clipPolylineToTile(annotation, annotation.points.map(toTile), tile, visible);
+
+            case 'pose':
+                if (!annotation.keypoints) return [];
+                const labeled = annotation.keypoints.filter(kp => kp.visibility !== 0);
+                const keypoints = annotation.keypoints.map(kp => {
+                    const moved = toTile(kp);
+                    return kp.visibility !== 0 && inside(moved) ? moved : { ...kp, x: 0, y: 0, visibility: 0 };
+                });
+                const kept = keypoints.filter(kp => kp.visibility !== 0).length;
+                if (labeled.length === 0 || !visible(kept / labeled.length)) return [];
+                return [{ ...annotation, keypoints }];
+
+            case 'maskpaint':
+                if (!annotation.points || annotation.points.length === 0) return [];
+                // Strokes are rasterised later and clipped to the tile there; a stroke counts
+                // as visible by how many of its points reach into the tile
+                const stroke = annotation.points.map(toTile);
+                const radius = (annotation.brushSize || 20) / 2;
+                const reaching = stroke.filter(p => inside(p, radius)).length / stroke.length;
+                if (annotation.isErasing ? reaching === 0 : !visible(reaching)) return [];
+                return [{ ...annotation, points: stroke }];
+
+            default:
+                return [];
+        }
+    }
+
+    // A polyline can leave and re-enter a tile, so it may come back as several pieces
+    clipPolylineToTile(annotation, points, tile, visible) {
+        const pieces = [];
+        let current = null;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const segment = ImageTiler.clipSegment(points[i], points[i + 1], tile.width, tile.height);
+            if (!segment) {
+                current = null;
+                continue;
+            }
+
+            if (current && segment.t0 === 0) {
+                current.push(segment.end);
+            } else {
+                current = [segment.start, segment.end];
+                pieces.push(current);
+            }
+            if (segment.t1 < 1) current = null; // left the tile
+        }
+
+        const total = ImageTiler.pathLength(points);
+        const kept = pieces.reduce((sum, piece) => sum + ImageTiler.pathLength(piece), 0);
+        if (total === 0 || !visible(kept / total)) return [];
+
+        return pieces.map(piece => ({ ...annotation, points: piece }));
+    }
+
+    // ========== JSON EXPORT ==========
+    async exportToJSON() {
+        const images = [];
+        for (const img of this.project.images) {
+            await this.tick();
+
+            const { width, height } = await ImageUtils.ensureSize(img);
+            images.push({
+                path: img.path,
+                name: img.name,
+                url: img.url,
+                width: width,
+                height: height
+            });
+        }
+
+        const exportData = {
+            version: '2.0.0',
+            created: new Date().toISOString(),
+            tool: 'TagiFLY v2.0.0',
+            images: images,
+            labels: this.project.labels,
+            labelColors: this.project.labelColors,
+            labelIds: this.project.labelIds,
+            annotations: this.project.annotations,
+            imageTags: this.project.imageTags,
+            annotationTypes: {
+                boundingbox: 'Rectangle annotations',
+                polygon: 'Polygon annotations', 
+                point: 'Point annotations',
+                keypoint: 'Keypoint annotations',
+                pose: 'Pose annotations (17 keypoints)',
+                polyline: 'Polyline annotations',
+                maskpaint: 'Mask paint annotations'
+            }
+        };
+
+        return JSON.stringify(exportData, null, 2);
+    }
+
+    // ========== LABELME EXPORT ==========
+    // One LabelMe JSON per image, named after the image so it can sit right next to it
+    async exportToLabelMe(options = {}) {
+        const zip = new DatasetArchive();
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            if (annotations.length === 0) continue;
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            const labelMe = this.convertToLabelMeFormat(image, annotations, width, height);
+            zip.file(`${ImageUtils.baseName(image.name)}.json`, JSON.stringify(labelMe, null, 2));
+
+            if (options.includeImages) {
+                zip.image(image.name, image.path);
+            }
+        }
+
+        return zip;
+    }
+
+    convertToLabelMeFormat(image, annotations, imageWidth, imageHeight) {
+        const shapes = [];
+
+        annotations.forEach(annotation => {
+            let shapeType;
+            let points;
+
+            switch (annotation.type) {
+                case 'boundingbox':
+                    // LabelMe rectangles cannot rotate - a rotated box is written as its corners
+                    if (annotation.rotation) {
+                        shapeType = 'polygon';
+                        points = this.getBoxCorners(annotation).map(p => [p.x, p.y]);
+                        break;
+                    }
+                    shapeType = 'rectangle';
+                    points = [
+                        [annotation.x, annotation.y],
+                        [annotation.x + annotation.width, annotation.y + annotation.height]
+                    ];
+                    break;
+
+                case 'point':
+                case 'keypoint':
+                    shapeType = 'point';
+                    points = [[annotation.x, annotation.y]];
+                    break;
+
+                case 'polygon':
+                    if (!annotation.points || annotation.points.length < 3) return;
+                    shapeType = 'polygon';
+                    points = annotation.points.map(p => [p.x, p.y]);
+                    break;
+
+                case 'polyline':
+                    if (!annotation.points || annotation.points.length < 2) return;
+                    shapeType = 'linestrip';
+                    points = annotation.points.map(p => [p.x, p.y]);
+                    break;
+
+                default:
+                    return; // pose and mask paint have no LabelMe shape
+            }
+
+            shapes.push({
+                label: annotation.label,
+                points: points,
+                group_id: null,
+                description: '',
+                shape_type: shapeType,
+                flags: {}
+            });
+        });
+
+        return {
+            version: '5.2.1',
+            flags: {},
+            shapes: shapes,
+            imagePath: image.name,
+            imageData: null,
+            imageHeight: imageHeight,
+            imageWidth: imageWidth
+        };
+    }
+
+    // ========== YOLO EXPORT ==========
+    async exportToYOLO(options = {}) {
+        const zip = new DatasetArchive();
+        const splits = this.getImageSplits(options);
+
+        // Create classes.txt
+        const classesContent = this.project.labels.join('\n');
+        zip.metadata('classes.txt', classesContent);
+        if (options.split || options.includeImages) {
+            zip.metadata('data.yaml', this.createYOLODataYAML(splits));
+        }
+
+        // Create annotation files for each image
+        for (const split of splits) {
+            const layout = this.getYOLOLayout(zip, split, options);
+
+            for (const image of split.images) {
+                await this.tick();
+
+                const imagePath = image.path;
+                const annotations = this.project.annotations[imagePath] || [];
+                
+                if (annotations.length > 0) {
+                    const { width: imageWidth, height: imageHeight } = await ImageUtils.ensureSize(image);
+                    const yoloContent = this.convertToYOLOFormat(annotations, imageWidth, imageHeight);
+                    this.addYOLOFiles(zip, layout, image, yoloContent, options);
+                }
+            }
+        }
+
+        return zip;
+    }
+
+    // ========== SHAPE GEOMETRY ==========
+    // Axis-aligned extent of any annotation in pixels, null when the shape is incomplete.
+    // Points have zero size; pose only counts labeled keypoints.
+    getAnnotationBounds(annotation) {
+        let xs, ys;
+
+        switch (annotation.type) {
+            case 'boundingbox':
+                const corners = this.getBoxCorners(annotation);
+                xs = corners.map(p => p.x);
+                ys = corners.map(p => p.y);
+                break;
+
+            case 'point':
+            case 'keypoint':
+                xs = [annotation.x];
+                ys = [annotation.y];
+                break;
+
+            case 'polygon':
+                if (!annotation.points || annotation.points.length < 3) return null;
+                xs = annotation.points.map(p => p.x);
+                ys = annotation.points.map(p => p.y);
+                break;
+
+            case 'pose':
+                if (!annotation.keypoints || !annotation.keypoints.some(kp => kp.visibility !== 0)) return null;
+                const labeled = annotation.keypoints.filter(kp => kp.visibility !== 0);
+                xs = labeled.map(kp => kp.x);
+                ys = labeled.map(kp => kp.y);
+                break;
+
+            case 'polyline':
+            case 'maskpaint':
+                if (!annotation.points || annotation.points.length < 2) return null;
+                xs = annotation.points.map(p => p.x);
+                ys = annotation.points.map(p => p.y);
+                break;
+
+            default:
+                return null;
+        }
+
+        return {
+            minX: Math.min(...xs),
+            minY: Math.min(...ys),
+            maxX: Math.max(...xs),
+            maxY: Math.max(...ys)
+        };
+    }
+
+    // Detection box for box-only formats (YOLO, CreateML, TF CSV): the shape's extent, with
+    // points and keypoints as a small box (1% of the image) around them
+    getDetectionBox(annotation, imageWidth, imageHeight) {
+        const bounds = this.getAnnotationBounds(annotation);
+        if (!bounds) return null;
+
+        if (annotation.type === 'point' || annotation.type === 'keypoint') {
+            const halfWidth = imageWidth * 0.005;
+            const halfHeight = imageHeight * 0.005;
+            return {
+                minX: bounds.minX - halfWidth,
+                minY: bounds.minY - halfHeight,
+                maxX: bounds.maxX + halfWidth,
+                maxY: bounds.maxY + halfHeight
+            };
+        }
+
+        return bounds;
+    }
+
+    // Four corners of a box, clockwise from top-left. An optional `rotation` (degrees,
+    // clockwise around the centre) turns it into an oriented box.
+    getBoxCorners(annotation) {
+        const { x, y, width, height } = annotation;
+        const rotation = (annotation.rotation || 0) * Math.PI / 180;
+        const centerX = x + width / 2;
+        const centerY = y + height / 2;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+            const dx = sx * width / 2;
+            const dy = sy * height / 2;
+            return {
+                x: centerX + dx * cos - dy * sin,
+                y: centerY + dx * sin + dy * cos
+            };
+        });
+    }
+
+    // Ultralytics layout: images/<split> next to labels/<split>. A plain export without
+    // images keeps the label files at the zip root.
+    getYOLOLayout(zip, split, options) {
+        if (split.name) {
+            zip.folder(`images/${split.name}`);
+            zip.folder(`labels/${split.name}`);
+            return { images: `images/${split.name}/`, labels: `labels/${split.name}/` };
+        }
+        if (options.includeImages) {
+            return { images: 'images/', labels: 'labels/' };
+        }
+        return { images: '', labels: '' };
+    }
+
+    addYOLOFiles(zip, layout, image, content, options) {
+        zip.file(layout.labels + image.name.replace(/\.[^/.]+$/, '.txt'), content);
+        if (options.includeImages) {
+            zip.image(layout.images + image.name, image.path);
+        }
+    }
+
+    // template adds the pose keys (kpt_shape, flip_idx)
+    createYOLODataYAML(splits, template = null) {
+        // Quoted so labels with `:`, `#` or YAML keywords (yes, null, ...) stay plain strings;
+        // a JSON string is a valid double-quoted YAML scalar
+        const names = this.project.labels.map((label, index) => `  ${index}: ${JSON.stringify(label)}`).join('\n');
+        const splitPath = name => splits.some(split => split.name === name) ? `images/${name}` : null;
+
+        // Without a split every set points at the same images; val falls back to train
+        const paths = splits[0].name === null
+            ? ['train: images', 'val: images']
+            : ['train', 'val', 'test']
+                .map(name => [name, splitPath(name) || (name === 'val' ? splitPath('train') : null)])
+                .filter(([, path]) => path)
+                .map(([name, path]) => `${name}: ${path}`);
+
+        const keypoints = template
+            ? `\nkpt_shape: [${template.points.length}, 3]\nflip_idx: [${this.getFlipIndex(template.points).join(', ')}]\n`
+            : '';
+
+        // No `path:` key - Ultralytics then resolves the split folders against the directory
+        // holding data.yaml instead of the working directory
+        return `# TagiFLY YOLO export
+${paths.join('\n')}
+${keypoints}
+names:
+${names}
+`;
+    }
+
+    convertToYOLOFormat(annotations, imageWidth, imageHeight) {
+        return annotations.map(annotation => {
+            const labelIndex = this.project.labels.indexOf(annotation.label);
+            if (labelIndex === -1) return '';
+
+            const box = this.getDetectionBox(annotation, imageWidth, imageHeight);
+            if (!box) return '';
+
+            const centerX = (box.minX + box.maxX) / 2 / imageWidth;
+            const centerY = (box.minY + box.maxY) / 2 / imageHeight;
+            const width = (box.maxX - box.minX) / imageWidth;
+            const height = (box.maxY - box.minY) / imageHeight;
+            return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
+        }).filter(line => line !== '').join('\n');
+    }
+
+    // ========== YOLO SEGMENTATION EXPORT ==========
+    async exportToYOLOSegmentation(options = {}) {
+        const zip = new DatasetArchive();
+        const splits = this.getImageSplits(options);
+
+        zip.metadata('classes.txt', this.project.labels.join('\n'));
+        if (options.split || options.includeImages) {
+            zip.metadata('data.yaml', this.createYOLODataYAML(splits));
+        }
+
+        for (const split of splits) {
+            const layout = this.getYOLOLayout(zip, split, options);
+
+            for (const image of split.images) {
+                await this.tick();
+
+                const annotations = this.project.annotations[image.path] || [];
+                if (annotations.length === 0) continue;
+
+                // Masks are rasterised at native resolution, so the real size is required
+                const { width, height } = await ImageUtils.ensureSize(image);
+                const content = this.convertToYOLOSegmentationFormat(annotations, width, height);
+                if (content) {
+                    this.addYOLOFiles(zip, layout, image, content, options);
+                }
+            }
+        }
+
+        return zip;
+    }
+
+    // One `class x1 y1 x2 y2 ...` line per polygon; mask strokes become the outer
+    // contour of each painted region, boxes their four corners
+    convertToYOLOSegmentationFormat(annotations, imageWidth, imageHeight) {
+        const clamp = value => Math.max(0, Math.min(1, value));
+        const toLine = (labelIndex, points) => `${labelIndex} ` + points
+            .map(p => `${clamp(p.x / imageWidth).toFixed(6)} ${clamp(p.y / imageHeight).toFixed(6)}`)
+            .join(' ');
+
+        const masks = new Map(
+            MaskRasterizer.buildInstanceMasks(annotations, imageWidth, imageHeight)
+                .map(instance => [instance.annotation, instance.region])
+        );
+        const lines = [];
+
+        annotations.forEach(annotation => {
+            const labelIndex = this.project.labels.indexOf(annotation.label);
+            if (labelIndex === -1) return;
+
+            switch (annotation.type) {
+                case 'polygon':
+                    if (annotation.points && annotation.points.length >= 3) {
+                        lines.push(toLine(labelIndex, annotation.points));
+                    }
+                    break;
+
+                case 'maskpaint':
+                    if (masks.has(annotation)) {
+                        MaskRasterizer.traceOuterContours(masks.get(annotation)).forEach(contour => {
+                            lines.push(toLine(labelIndex, contour));
+                        });
+                    }
+                    break;
+
+                case 'boundingbox':
+                    lines.push(toLine(labelIndex, this.getBoxCorners(annotation)));
+                    break;
+
+                default:
+                    // Points, keypoints, poses and polylines have no area to segment
+                    break;
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    // ========== YOLO POSE EXPORT ==========
+    async exportToYOLOPose(options = {}) {
+        const zip = new DatasetArchive();
+        const template = CONFIG.KEYPOINT_TEMPLATES.person;
+        const splits = this.getImageSplits(options);
+
+        zip.metadata('classes.txt', this.project.labels.join('\n'));
+        zip.metadata('data.yaml', this.createYOLODataYAML(splits, template));
+
+        for (const split of splits) {
+            const layout = this.getYOLOLayout(zip, split, options);
+
+            for (const image of split.images) {
+                await this.tick();
+
+                const poses = (this.project.annotations[image.path] || []).filter(annotation => annotation.type === 'pose');
+                if (poses.length === 0) continue;
+
+                const { width, height } = await ImageUtils.ensureSize(image);
+                const content = this.convertToYOLOPoseFormat(poses, template, width, height);
+                if (content) {
+                    this.addYOLOFiles(zip, layout, image, content, options);
+                }
+            }
+        }
+
+        return zip;
+    }
+
+    // `class cx cy w h` followed by one `x y v` triplet per template keypoint
+    convertToYOLOPoseFormat(poses, template, imageWidth, imageHeight) {
+        return poses.map(annotation => {
+            const labelIndex = this.project.labels.indexOf(annotation.label);
+            if (labelIndex === -1) return '';
+
+            const keypoints = this.getTemplateKeypoints(annotation, template);
+            const labeled = keypoints.filter(kp => kp.visibility > 0);
+            if (labeled.length === 0) return '';
+
+            const xs = labeled.map(kp => kp.x);
+            const ys = labeled.map(kp => kp.y);
+            const minX = Math.min(...xs);
+            const maxX = Math.max(...xs);
+            const minY = Math.min(...ys);
+            const maxY = Math.max(...ys);
+
+            const box = [
+                (minX + maxX) / 2 / imageWidth,
+                (minY + maxY) / 2 / imageHeight,
+                (maxX - minX) / imageWidth,
+                (maxY - minY) / imageHeight
+            ].map(value => value.toFixed(6)).join(' ');
+
+            // Unlabeled keypoints are written as `0 0 0` as Ultralytics expects
+            const triplets = keypoints.map(kp => kp.visibility > 0
+                ? `${(kp.x / imageWidth).toFixed(6)} ${(kp.y / imageHeight).toFixed(6)} ${kp.visibility}`
+                : '0.000000 0.000000 0'
+            ).join(' ');
+
+            return `${labelIndex} ${box} ${triplets}`;
+        }).filter(line => line !== '').join('\n');
+    }
+
+    // Pose keypoints re-ordered to the template; drawn keypoints carry no visibility
+    // flag and count as visible (2), missing ones as not labeled (0)
+    getTemplateKeypoints(annotation, template) {
+        return template.points.map((name, index) => {
+            const keypoint = (annotation.keypoints || []).find(kp => kp.name === name)
+                || (annotation.keypoints || [])[index];
+
+            if (!keypoint || (keypoint.name !== undefined && keypoint.name !== name)) {
+                return { name, x: 0, y: 0, visibility: 0 };
+            }
+
+            return {
+                name: name,
+                x: keypoint.x,
+                y: keypoint.y,
+                visibility: keypoint.visibility !== undefined ? keypoint.visibility : 2
+            };
+        });
+    }
+
+    // Template a pose was drawn with (stored by name), falling back to the label, then person
+    getPoseTemplate(annotation) {
+        const templates = CONFIG.KEYPOINT_TEMPLATES;
+        return Object.values(templates).find(template => template.name === annotation.template)
+            || templates[annotation.label]
+            || templates.person;
+    }
+
+    // Horizontal flip swaps every left_* keypoint with its right_* counterpart
+    getFlipIndex(points) {
+        return points.map((name, index) => {
+            let mirrored = name;
+            if (name.includes('left')) {
+                mirrored = name.replace('left', 'right');
+            } else if (name.includes('right')) {
+                mirrored = name.replace('right', 'left');
+            }
+
+            const mirroredIndex = points.indexOf(mirrored);
+            return mirroredIndex === -1 ? index : mirroredIndex;
+        });
+    }
+
+    // ========== COCO EXPORT ==========
+    async exportToCOCO(options = {}, images = this.project.images) {
+        const cocoData = {
+            info: {
+                description: 'TagiFLY v2.0.0 Export',
+                version: '2.0.0',
+                year: new Date().getFullYear(),
+                contributor: 'TagiFLY',
+                date_created: new Date().toISOString()
+            },
+            licenses: [{
+                id: 1,
+                name: 'MIT',
+                url: 'https://opensource.org/licenses/MIT'
+            }],
+            images: [],
+            annotations: [],
+            categories: []
+        };
+
+        // Labels used by pose annotations become person-keypoints style categories
+        const poseTemplates = {};
+        images.forEach(image => {
+            (this.project.annotations[image.path] || []).forEach(annotation => {
+                if (annotation.type === 'pose' && !poseTemplates[annotation.label]) {
+                    poseTemplates[annotation.label] = this.getPoseTemplate(annotation);
+                }
+            });
+        });
+
+        // Add categories
+        this.project.labels.forEach((label, index) => {
+            const category = {
+                id: index + 1,
+                name: label,
+                supercategory: 'object'
+            };
+
+            const template = poseTemplates[label];
+            if (template) {
+                category.keypoints = template.points;
+                category.skeleton = template.connections.map(([start, end]) => [start + 1, end + 1]); // COCO is 1-based
+            }
+
+            cocoData.categories.push(category);
+        });
+
+        // Add images and annotations
+        let annotationId = 1;
+        for (const [imageIndex, image] of images.entries()) {
+            await this.tick();
+
+            const imagePath = image.path;
+            const annotations = this.project.annotations[imagePath] || [];
+
+            const { width: imageWidth, height: imageHeight } = await ImageUtils.ensureSize(image);
+
+            // Mask paint is rasterised at native resolution
+            const masks = annotations.some(annotation => annotation.type === 'maskpaint')
+                ? new Map(MaskRasterizer.buildInstanceMasks(annotations, imageWidth, imageHeight)
+                    .map(({ annotation, region }) => [annotation, region]))
+                : new Map();
+            
+            // Add image info
+            cocoData.images.push({
+                id: imageIndex + 1,
+                width: imageWidth,
+                height: imageHeight,
+                file_name: image.name,
+                license: 1,
+                date_captured: new Date().toISOString()
+            });
+
+            // Add annotations - support all annotation types
+            for (const annotation of annotations) {
+                const categoryId = this.project.labels.indexOf(annotation.label) + 1;
+                if (categoryId === 0) continue; // Skip if label not found
+                
+                let bbox, area, segmentation = null, keypoints = null, iscrowd = 0;
+                
+                switch (annotation.type) {
+                    case 'boundingbox':
+                        // Rotated boxes are written as the extent of their corners
+                        const boxBounds = this.getAnnotationBounds(annotation);
+                        bbox = [boxBounds.minX, boxBounds.minY, boxBounds.maxX - boxBounds.minX, boxBounds.maxY - boxBounds.minY];
+                        area = annotation.width * annotation.height;
+                        break;
+                    
+                    case 'point':
+                        // Point as very small bounding box
+                        bbox = [annotation.x, annotation.y, 1, 1];
+                        area = 1;
+                        break;
+                    
+                    case 'keypoint':
+                        // Keypoint as very small bounding box
+                        bbox = [annotation.x, annotation.y, 1, 1];
+                        area = 1;
+                        break;
+                    
+                    case 'polygon':
+                        if (annotation.points && annotation.points.length >= 3) {
+                            // Convert polygon to bounding box
+                            const xs = annotation.points.map(p => p.x);
+                            const ys = annotation.points.map(p => p.y);
+                            const minX = Math.min(...xs);
+                            const maxX = Math.max(...xs);
+                            const minY = Math.min(...ys);
+                            const maxY = Math.max(...ys);
+                            
+                            bbox = [minX, minY, maxX - minX, maxY - minY];
+                            area = (maxX - minX) * (maxY - minY);
+                            
+                            // Add segmentation data
+                            const polygonPoints = annotation.points.flatMap(p => [p.x, p.y]);
+                            segmentation = [polygonPoints];
+                        } else {
+                            continue; // Skip invalid polygon
+                        }
+                        break;
+                    
+                    case 'pose':
+                        if (annotation.keypoints && annotation.keypoints.some(kp => kp.visibility !== 0)) {
+                            // Convert pose to bounding box around all labeled keypoints
+                            const labeled = annotation.keypoints.filter(kp => kp.visibility !== 0);
+                            const xs = labeled.map(kp => kp.x);
+                            const ys = labeled.map(kp => kp.y);
+                            const minX = Math.min(...xs);
+                            const maxX = Math.max(...xs);
+                            const minY = Math.min(...ys);
+                            const maxY = Math.max(...ys);
+                            
+                            bbox = [minX, minY, maxX - minX, maxY - minY];
+                            area = (maxX - minX) * (maxY - minY);
+                            
+                            // Flat [x, y, v, ...] in template order, unlabeled points as 0, 0, 0
+                            keypoints = this.getTemplateKeypoints(annotation, poseTemplates[annotation.label])
+                                .flatMap(kp => kp.visibility > 0 ? [kp.x, kp.y, kp.visibility] : [0, 0, 0]);
+                        } else {
+                            continue; // Skip invalid pose
+                        }
+                        break;
+                    
+                    case 'polyline':
+                        if (annotation.points && annotation.points.length >= 2) {
+                            // Convert polyline to bounding box
+                            const xs = annotation.points.map(p => p.x);
+                            const ys = annotation.points.map(p => p.y);
+                            const minX = Math.min(...xs);
+                            const maxX = Math.max(...xs);
+                            const minY = Math.min(...ys);
+                            const maxY = Math.max(...ys);
+                            
+                            bbox = [minX, minY, maxX - minX, maxY - minY];
+                            area = (maxX - minX) * (maxY - minY);
+                        } else {
+                            continue; // Skip invalid polyline
+                        }
+                        break;
+                    
+                    case 'maskpaint':
+                        // Erase strokes are already subtracted from the masks they cover
+                        const region = masks.get(annotation);
+                        if (region) {
+                            // Compressed RLE; box and area come from the painted pixels
+                            const extent = this.getMaskExtent(region);
+                            bbox = [extent.x, extent.y, extent.width, extent.height];
+                            area = MaskRasterizer.countPixels(region);
+                            segmentation = this.encodeCOCORLE(region, imageWidth, imageHeight);
+                            iscrowd = options.cocoMaskCrowd ? 1 : 0;
+                        } else {
+                            continue; // Skip empty or erase-only mask paint
+                        }
+                        break;
+                    
+                    default:
+                        continue; // Skip unsupported types
+                }
+                
+                if (bbox && area > 0) {
+                    const annotationData = {
+                        id: annotationId++,
+                        image_id: imageIndex + 1,
+                        category_id: categoryId,
+                        bbox: bbox,
+                        area: area,
+                        iscrowd: iscrowd
+                    };
+                    
+                    if (segmentation) {
+                        annotationData.segmentation = segmentation;
+                    }
+                    
+                    if (keypoints) {
+                        annotationData.segmentation = [];
+                        annotationData.keypoints = keypoints;
+                        annotationData.num_keypoints = keypoints.filter((value, i) => i % 3 === 2 && value > 0).length;
+                    }
+                    
+                    cocoData.annotations.push(annotationData);
+                }
+            }
+        }
+
+        return JSON.stringify(cocoData, null, 2);
+    }
+
+    // One instances JSON per split, ids restart in every file
+    async exportToCOCOSplits(options) {
+        const zip = new DatasetArchive();
+
+        for (const split of this.getImageSplits(options)) {
+            zip.metadata(`annotations/instances_${split.name}.json`, await this.exportToCOCO(options, split.images));
+        }
+
+        return zip;
+    }
+
+    // Pixel-tight box of a rasterised mask
+    getMaskExtent(region) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let row = 0; row < region.height; row++) {
+            for (let col = 0; col < region.width; col++) {
+                if (region.data[row * region.width + col]) {
+                    minX = Math.min(minX, col);
+                    maxX = Math.max(maxX, col);
+                    minY = Math.min(minY, row);
+                    maxY = Math.max(maxY, row);
+                }
+            }
+        }
+        return {
+            x: region.left + minX,
+            y: region.top + minY,
+            width: maxX - minX + 1,
+            height: maxY - minY + 1
+        };
+    }
+
+    // COCO compressed RLE: column-major run lengths starting with background, then
+    // pycocotools' string encoding (5-bit chunks, deltas against the run two back)
+    encodeCOCORLE(region, imageWidth, imageHeight) {
+        const counts = [];
+        let current = 0;
+        let run = 0;
+        const push = (value, length) => {
+            if (length <= 0) return;
+            if (value !== current) {
+                counts.push(run);
+                current = value;
+                run = 0;
+            }
+            run += length;
+        };
+
+        for (let x = 0; x < imageWidth; x++) {
+            const col = x - region.left;
+            if (col < 0 || col >= region.width) {
+                push(0, imageHeight);
+                continue;
+            }
+
+            push(0, region.top);
+            for (let row = 0; row < region.height; row++) {
+                push(region.data[row * region.width + col] ? 1 : 0, 1);
+            }
+            push(0, imageHeight - region.top - region.height);
+        }
+        counts.push(run);
+
+        let encoded = '';
+        counts.forEach((count, i) => {
+            let x = i > 2 ? count - counts[i - 2] : count;
+            let more = true;
+            while (more) {
+                let c = x & 0x1f;
+                x >>= 5;
+                more = (c & 0x10) ? x !== -1 : x !== 0;
+                if (more) c |= 0x20;
+                encoded += String.fromCharCode(c + 48);
+            }
+        });
+
+        return { size: [imageHeight, imageWidth], counts: encoded };
+    }
+
+    // ========== PASCAL VOC EXPORT ==========
+    async exportToPascalVOC(options = {}) {
+        const zip = new DatasetArchive();
+
+        // With images the standard VOCdevkit layout is used (Annotations/, JPEGImages/)
+        const annotationDir = options.includeImages ? 'Annotations/' : '';
+        const colormap = this.createVOCColormap();
+        const segmentedImages = new Set();
+
+        // Create annotation files for each image
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const imagePath = image.path;
+            const annotations = this.project.annotations[imagePath] || [];
+            
+            if (annotations.length > 0) {
+                // Polygons and mask paint also give the VOC segmentation masks
+                const segmented = annotations.some(annotation => MaskRasterizer.isAreaAnnotation(annotation))
+                    && await this.addPascalVOCSegmentation(zip, image, annotations, colormap);
+                if (segmented) segmentedImages.add(image);
+
+                const fileName = image.name.replace(/\.[^/.]+$/, '.xml');
+                const { width, height } = await ImageUtils.ensureSize(image);
+                const xmlContent = this.convertToPascalVOCFormat(image, annotations, width, height, segmented);
+                zip.file(annotationDir + fileName, xmlContent);
+
+                if (options.includeImages) {
+                    zip.image(`JPEGImages/${image.name}`, image.path);
+                }
+            }
+        }
+
+        if (segmentedImages.size > 0) {
+            this.addPascalVOCImageSets(zip, segmentedImages, options);
+        }
+
+        return zip;
+    }
+
+    // SegmentationClass/<image>.png: label index + 1 (0 = background)
+    // SegmentationObject/<image>.png: index of the matching <object> in the XML, 1-based
+    async addPascalVOCSegmentation(zip, image, annotations, colormap) {
+        const { width, height } = await ImageUtils.ensureSize(image);
+        const instances = MaskRasterizer.buildInstanceMasks(annotations, width, height);
+        if (instances.length === 0) return false;
+
+        const objectIndex = new Map();
+        annotations.filter(annotation => this.getPascalVOCBox(annotation))
+            .forEach((annotation, index) => objectIndex.set(annotation, index + 1));
+
+        const classMask = MaskRasterizer.composeMasks(instances, width, height,
+            ({ annotation }) => this.project.labels.indexOf(annotation.label) + 1);
+        const objectMask = MaskRasterizer.composeMasks(instances, width, height,
+            ({ annotation }) => objectIndex.get(annotation) || 0);
+
+        const baseName = ImageUtils.baseName(image.name);
+        await this.addBinaryFile(zip, `SegmentationClass/${baseName}.png`, PNGEncoder.encodePalette(classMask, width, height, colormap));
+        await this.addBinaryFile(zip, `SegmentationObject/${baseName}.png`, PNGEncoder.encodePalette(objectMask, width, height, colormap));
+        return true;
+    }
+
+    // ImageSets/Segmentation/*.txt - one list per split (trainval.txt covers train + val)
+    addPascalVOCImageSets(zip, segmentedImages, options) {
+        const lists = {};
+        this.getImageSplits(options).forEach(split => {
+            const names = split.images
+                .filter(image => segmentedImages.has(image))
+                .map(image => ImageUtils.baseName(image.name));
+
+            if (split.name) lists[split.name] = names;
+            if (split.name !== 'test') {
+                lists.trainval = (lists.trainval || []).concat(names);
+            }
+        });
+
+        Object.keys(lists).forEach(name => {
+            zip.metadata(`ImageSets/Segmentation/${name}.txt`, lists[name].map(baseName => `${baseName}\n`).join(''));
+        });
+    }
+
+    // Standard VOC palette: index bits spread over the high bits of r, g, b
+    createVOCColormap() {
+        const colormap = [];
+        for (let i = 0; i < 256; i++) {
+            let r = 0, g = 0, b = 0;
+            let c = i;
+            for (let bit = 7; bit >= 0; bit--) {
+                r |= (c & 1) << bit;
+                g |= ((c >> 1) & 1) << bit;
+                b |= ((c >> 2) & 1) << bit;
+                c >>= 3;
+            }
+            colormap.push([r, g, b]);
+        }
+        return colormap;
+    }
+
+    // Integer <bndbox> for an annotation, null when it can't be written as an object.
+    // Points and keypoints become a 1px box.
+    getPascalVOCBox(annotation) {
+        const bounds = this.getAnnotationBounds(annotation);
+        if (!bounds) return null;
+
+        const size = annotation.type === 'point' || annotation.type === 'keypoint' ? 1 : 0;
+        return {
+            xmin: Math.round(bounds.minX),
+            ymin: Math.round(bounds.minY),
+            xmax: Math.round(bounds.maxX + size),
+            ymax: Math.round(bounds.maxY + size)
+        };
+    }
+
+    convertToPascalVOCFormat(image, annotations, width, height, segmented = false) {
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+    <folder>images</folder>
+    <filename>${this.escapeXML(image.name)}</filename>
+    <path>${this.escapeXML(image.path)}</path>
+    <source>
+        <database>TagiFLY</database>
+    </source>
+    <size>
+        <width>${width}</width>
+        <height>${height}</height>
+        <depth>3</depth>
+    </size>
+    <segmented>${segmented ? 1 : 0}</segmented>`;
+
+        annotations.forEach(annotation => {
+            const box = this.getPascalVOCBox(annotation);
+            if (!box) return; // Skip invalid or unsupported shapes
+            
+            // Attributes kept from imported VOC files are written back unchanged
+            const attributes = annotation.attributes || {};
+            
+            // Add object to XML
+            xml += `
+    <object>
+        <name>${this.escapeXML(annotation.label)}</name>
+        <pose>${this.escapeXML(attributes.pose || 'Unspecified')}</pose>
+        <truncated>${this.escapeXML(attributes.truncated || 0)}</truncated>
+        <difficult>${this.escapeXML(attributes.difficult || 0)}</difficult>
+        <bndbox>
+            <xmin>${box.xmin}</xmin>
+            <ymin>${box.ymin}</ymin>
+            <xmax>${box.xmax}</xmax>
+            <ymax>${box.ymax}</ymax>
+        </bndbox>
+    </object>`;
+        });
+
+        xml += `
+</annotation>`;
+
+        return xml;
+    }
+
+    // ========== CVAT EXPORT ==========
+    // CVAT for images 1.1 - a single annotations.xml with the label list in <meta>
+    async exportToCVAT() {
+        const poseTemplates = {};
+        const labelAttributes = {};
+        this.project.images.forEach(image => {
+            (this.project.annotations[image.path] || []).forEach(annotation => {
+                if (annotation.type === 'pose' && !poseTemplates[annotation.label]) {
+                    poseTemplates[annotation.label] = this.getPoseTemplate(annotation);
+                }
+                Object.keys(annotation.attributes || {}).forEach(name => {
+                    labelAttributes[annotation.label] = labelAttributes[annotation.label] || new Set();
+                    labelAttributes[annotation.label].add(name);
+                });
+            });
+        });
+
+        let imagesXML = '';
+        for (const [imageIndex, image] of this.project.images.entries()) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            if (annotations.length === 0) continue;
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            imagesXML += this.convertToCVATFormat(image, imageIndex, annotations, poseTemplates, width, height);
+        }
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<annotations>
+  <version>1.1</version>
+  <meta>
+    <task>
+      <name>TagiFLY export</name>
+      <size>${this.project.images.length}</size>
+      <mode>annotation</mode>
+      <created>${new Date().toISOString()}</created>
+      <labels>${this.createCVATLabels(poseTemplates, labelAttributes)}
+      </labels>
+    </task>
+    <dumped>${new Date().toISOString()}</dumped>
+  </meta>${imagesXML}
+</annotations>
+`;
+    }
+
+    // Skeleton labels carry their keypoints as sub-labels and the edges in an <svg> drawing
+    createCVATLabels(poseTemplates, labelAttributes) {
+        const attributesXML = label => [...(labelAttributes[label] || [])].map(name => `
+            <attribute>
+              <name>${this.escapeXML(name)}</name>
+              <mutable>False</mutable>
+              <input_type>text</input_type>
+              <default_value></default_value>
+              <values></values>
+            </attribute>`).join('');
+
+        return this.project.labels.map(label => {
+            const template = poseTemplates[label];
+            if (!template) {
+                return `
+        <label>
+          <name>${this.escapeXML(label)}</name>
+          <color>${this.project.labelColors[label]}</color>
+          <type>any</type>
+          <attributes>${attributesXML(label)}
+          </attributes>
+        </label>`;
+            }
+
+            // Nodes on a circle in CVAT's 100x100 skeleton canvas; ids are 1-based
+            const nodes = template.points.map((name, index) => {
+                const angle = 2 * Math.PI * index / template.points.length;
+                return { id: index + 1, name, x: 50 + 40 * Math.cos(angle), y: 50 + 40 * Math.sin(angle) };
+            });
+            const svg = template.connections.map(([start, end]) =>
+                `<line x1="${nodes[start].x.toFixed(1)}" y1="${nodes[start].y.toFixed(1)}" x2="${nodes[end].x.toFixed(1)}" y2="${nodes[end].y.toFixed(1)}" stroke="black" data-type="edge" data-node-from="${start + 1}" stroke-width="0.5" data-node-to="${end + 1}"></line>`
+            ).concat(nodes.map(node =>
+                `<circle r="1.5" stroke="black" fill="#b3b3b3" cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" stroke-width="0.1" data-type="element node" data-element-id="${node.id}" data-node-id="${node.id}" data-label-name="${node.name}"></circle>`
+            )).join('');
+
+            return `
+        <label>
+          <name>${this.escapeXML(label)}</name>
+          <color>${this.project.labelColors[label]}</color>
+          <type>skeleton</type>
+          <attributes>${attributesXML(label)}
+          </attributes>
+          <svg>${this.escapeXML(svg)}</svg>
+        </label>` + template.points.map(name => `
+        <label>
+          <name>${this.escapeXML(name)}</name>
+          <type>points</type>
+          <attributes>
+          </attributes>
+          <parent>${this.escapeXML(label)}</parent>
+        </label>`).join('');
+        }).join('');
+    }
+
+    convertToCVATFormat(image, imageIndex, annotations, poseTemplates, width, height) {
+        const formatPoints = points => points.map(p => `${p.x.toFixed(2)},${p.y.toFixed(2)}`).join(';');
+        let xml = `
+  <image id="${imageIndex}" name="${this.escapeXML(image.name)}" width="${width}" height="${height}">`;
+
+        annotations.forEach(annotation => {
+            const label = this.escapeXML(annotation.label);
+            const common = `label="${label}" source="manual" occluded="0" z_order="0"`;
+            let tag;
+            let shape;
+
+            switch (annotation.type) {
+                case 'boundingbox':
+                    tag = 'box';
+                    shape = `${common} xtl="${annotation.x.toFixed(2)}" ytl="${annotation.y.toFixed(2)}" xbr="${(annotation.x + annotation.width).toFixed(2)}" ybr="${(annotation.y + annotation.height).toFixed(2)}"`;
+                    if (annotation.rotation) shape += ` rotation="${annotation.rotation.toFixed(2)}"`;
+                    break;
+
+                case 'point':
+                case 'keypoint':
+                    tag = 'points';
+                    shape = `${common} points="${formatPoints([annotation])}"`;
+                    break;
+
+                case 'polygon':
+                    if (!annotation.points || annotation.points.length < 3) return; // Skip invalid polygon
+                    tag = 'polygon';
+                    shape = `${common} points="${formatPoints(annotation.points)}"`;
+                    break;
+
+                case 'polyline':
+                    if (!annotation.points || annotation.points.length < 2) return; // Skip invalid polyline
+                    tag = 'polyline';
+                    shape = `${common} points="${formatPoints(annotation.points)}"`;
+                    break;
+
+                case 'pose':
+                    if (!annotation.keypoints || !annotation.keypoints.some(kp => kp.visibility !== 0)) return; // Skip invalid pose
+                    tag = 'skeleton';
+                    shape = `label="${label}" source="manual" z_order="0"`;
+                    break;
+
+                default:
+                    return; // Mask paint has no CVAT 1.1 shape here
+            }
+
+            // Children: attributes for every shape, plus the keypoints of a skeleton
+            let children = Object.entries(annotation.attributes || {}).map(([name, value]) => `
+      <attribute name="${this.escapeXML(name)}">${this.escapeXML(value)}</attribute>`).join('');
+
+            if (annotation.type === 'pose') {
+                children += this.getTemplateKeypoints(annotation, poseTemplates[annotation.label]).map(kp => `
+      <points label="${this.escapeXML(kp.name)}" source="manual" outside="${kp.visibility === 0 ? 1 : 0}" occluded="${kp.visibility === 1 ? 1 : 0}" points="${formatPoints([kp])}">
+      </points>`).join('');
+            }
+
+            xml += `
+    <${tag} ${shape}>${children}
+    </${tag}>`;
+        });
+
+        xml += `
+  </image>`;
+
+        return xml;
+    }
+
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ========== KITTI EXPORT ==========
+    // KITTI object labels (label_2/, image_2/) - 2D boxes only, 3D fields use the dev kit's "unknown" values
+    async exportToKITTI(options = {}) {
+        const zip = new DatasetArchive();
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            const content = this.convertToKITTIFormat(annotations);
+            if (!content) continue;
+
+            zip.file(`label_2/${ImageUtils.baseName(image.name)}.txt`, content);
+            if (options.includeImages) {
+                zip.image(`image_2/${image.name}`, image.path);
+            }
+        }
+
+        return zip;
+    }
+
+    // type truncated occluded alpha left top right bottom height width length x y z rotation_y
+    convertToKITTIFormat(annotations) {
+        return annotations.map(annotation => {
+            // Points and keypoints have no extent to train a detector on
+            if (annotation.type === 'point' || annotation.type === 'keypoint') return '';
+
+            const bounds = this.getAnnotationBounds(annotation);
+            if (!bounds) return '';
+
+            const attributes = annotation.attributes || {};
+            const truncated = parseFloat(attributes.truncated) || 0;
+            const occluded = parseInt(attributes.occluded, 10) || 0;
+
+            return [
+                this.toFormatLabel(annotation.label),
+                truncated.toFixed(2),
+                occluded,
+                '-10',
+                bounds.minX.toFixed(2),
+                bounds.minY.toFixed(2),
+                bounds.maxX.toFixed(2),
+                bounds.maxY.toFixed(2),
+                '-1 -1 -1',
+                '-1000 -1000 -1000',
+                '-10'
+            ].join(' ');
+        }).filter(line => line !== '').join('\n');
+    }
+
+    // ========== DOTA EXPORT ==========
+    // DOTA v1 label files (labelTxt/, images/): four corners clockwise, class and difficult flag
+    async exportToDOTA(options = {}) {
+        const zip = new DatasetArchive();
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            const content = this.convertToDOTAFormat(annotations);
+            if (!content) continue;
+
+            zip.file(`labelTxt/${ImageUtils.baseName(image.name)}.txt`, `imagesource:TagiFLY\ngsd:null\n${content}`);
+            if (options.includeImages) {
+                zip.image(`images/${image.name}`, image.path);
+            }
+        }
+
+        return zip;
+    }
+
+    convertToDOTAFormat(annotations) {
+        return annotations.map(annotation => {
+            let corners;
+
+            switch (annotation.type) {
+                case 'boundingbox':
+                    // Rotated boxes keep their orientation, plain boxes give axis-aligned corners
+                    corners = this.getBoxCorners(annotation);
+                    break;
+
+                case 'polygon':
+                    // A quadrilateral is already an oriented box
+                    if (annotation.points && annotation.points.length === 4) {
+                        corners = annotation.points;
+                        break;
+                    }
+                    // falls through - other polygons use their extent
+
+                case 'pose':
+                case 'polyline':
+                case 'maskpaint':
+                    const bounds = this.getAnnotationBounds(annotation);
+                    if (!bounds) return '';
+                    corners = [
+                        { x: bounds.minX, y: bounds.minY },
+                        { x: bounds.maxX, y: bounds.minY },
+                        { x: bounds.maxX, y: bounds.maxY },
+                        { x: bounds.minX, y: bounds.maxY }
+                    ];
+                    break;
+
+                default:
+                    return ''; // Points and keypoints have no extent
+            }
+
+            const difficult = parseInt((annotation.attributes || {}).difficult, 10) || 0;
+            // `|| 0` drops the -0 that rotation rounding can leave behind
+            const format = value => (Number(value.toFixed(1)) || 0).toFixed(1);
+            const coordinates = this.orderDOTACorners(corners).map(p => `${format(p.x)} ${format(p.y)}`).join(' ');
+            return `${coordinates} ${this.toFormatLabel(annotation.label)} ${difficult}`;
+        }).filter(line => line !== '').join('\n');
+    }
+
+    // DOTA expects the corners clockwise starting from the top-left one. Rotation moves a
+    // box's own first corner and drawn quadrilaterals can run either way, so both are
+    // normalised: clockwise on screen (y down), starting at the corner nearest the origin.
+    orderDOTACorners(corners) {
+        const clockwise = ImageTiler.signedArea(corners) >= 0 ? corners : [...corners].reverse();
+
+        let start = 0;
+        clockwise.forEach((p, i) => {
+            const best = clockwise[start];
+            if (p.x + p.y < best.x + best.y - 1e-6 || (Math.abs(p.x + p.y - best.x - best.y) <= 1e-6 && p.y < best.y)) {
+                start = i;
+            }
+        });
+        return [...clockwise.slice(start), ...clockwise.slice(0, start)];
+    }
+
+    // ========== CREATEML EXPORT ==========
+    // Apple CreateML object detection JSON: box centre + size in pixels
+    async exportToCreateML() {
+        const entries = [];
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            if (annotations.length === 0) continue;
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            const objects = [];
+            annotations.forEach(annotation => {
+                const box = this.getDetectionBox(annotation, width, height);
+                if (!box) return;
+
+                objects.push({
+                    label: annotation.label,
+                    coordinates: {
+                        x: (box.minX + box.maxX) / 2,
+                        y: (box.minY + box.maxY) / 2,
+                        width: box.maxX - box.minX,
+                        height: box.maxY - box.minY
+                    }
+                });
+            });
+
+            if (objects.length > 0) {
+                entries.push({ image: image.name, annotations: objects });
+            }
+        }
+
+        return JSON.stringify(entries, null, 2);
+    }
+
+    // ========== TENSORFLOW CSV EXPORT ==========
+    // TF Object Detection API CSV: one row per box, corners in pixels
+    async exportToTFCSV() {
+        const rows = ['filename,width,height,class,xmin,ymin,xmax,ymax'];
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            if (annotations.length === 0) continue;
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            annotations.forEach(annotation => {
+                const box = this.getDetectionBox(annotation, width, height);
+                if (!box) return;
+
+                rows.push([
+                    this.toCSVField(image.name),
+                    width,
+                    height,
+                    this.toCSVField(annotation.label),
+                    Math.max(0, Math.round(box.minX)),
+                    Math.max(0, Math.round(box.minY)),
+                    Math.min(width, Math.round(box.maxX)),
+                    Math.min(height, Math.round(box.maxY))
+                ].join(','));
+            });
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    // ========== TFRECORD EXPORT ==========
+    // tf.train.Example records in the TF Object Detection API layout, sharded per split,
+    // plus label_map.pbtxt. Image bytes are embedded, so unlike other zips they are read here;
+    // each record is appended to its shard file in the work folder as soon as it is encoded.
+    async exportToTFRecord(options = {}) {
+        const zip = new DatasetArchive();
+        zip.metadata('label_map.pbtxt', this.createTFLabelMap());
+
+        for (const split of this.getImageSplits(options)) {
+            const prefix = split.name || 'dataset';
+            const shards = [];
+            let shard = null;
+
+            try {
+                for (const image of split.images) {
+                    await this.tick();
+
+                    const annotations = this.project.annotations[image.path] || [];
+                    if (annotations.length === 0) continue;
+
+                    let encoded;
+                    try {
+                        encoded = new Uint8Array(await fs.promises.readFile(image.path));
+                    } catch (error) {
+                        zip.missing(image.path);
+                        continue;
+                    }
+
+                    const { width, height } = await ImageUtils.ensureSize(image);
+                    const record = TFRecordEncoder.frameRecord(
+                        this.convertToTFExample(image, annotations, encoded, width, height)
+                    );
+
+                    if (shard && shard.bytes + record.length > TFRECORD_SHARD_BYTES) {
+                        await shard.handle.close();
+                        shard = null;
+                    }
+                    if (!shard) {
+                        const filePath = await this.createWorkFile(`${prefix}.tfrecord`);
+                        shard = { filePath: filePath, handle: await fs.promises.open(filePath, 'w'), bytes: 0 };
+                        shards.push(shard);
+                    }
+
+                    await shard.handle.write(record);
+                    shard.bytes += record.length;
+                }
+            } finally {
+                if (shard) await shard.handle.close();
+            }
+
+            // train-00000-of-00002.tfrecord, the usual sharded file naming
+            const count = String(shards.length).padStart(5, '0');
+            shards.forEach((written, index) => {
+                zip.written(`${prefix}-${String(index).padStart(5, '0')}-of-${count}.tfrecord`, written.filePath);
+            });
+        }
+
+        return zip;
+    }
+
+    convertToTFExample(image, annotations, encoded, width, height) {
+        const xmins = [];
+        const ymins = [];
+        const xmaxs = [];
+        const ymaxs = [];
+        const classTexts = [];
+        const classLabels = [];
+
+        annotations.forEach(annotation => {
+            const labelIndex = this.project.labels.indexOf(annotation.label);
+            if (labelIndex === -1) return;
+
+            const box = this.getDetectionBox(annotation, width, height);
+            if (!box) return;
+
+            // Normalised and clipped to the image, as the TF OD API expects
+            xmins.push(Math.min(Math.max(box.minX / width, 0), 1));
+            ymins.push(Math.min(Math.max(box.minY / height, 0), 1));
+            xmaxs.push(Math.min(Math.max(box.maxX / width, 0), 1));
+            ymaxs.push(Math.min(Math.max(box.maxY / height, 0), 1));
+            classTexts.push(annotation.label);
+            classLabels.push(labelIndex + 1); // id 0 is reserved for background
+        });
+
+        const extension = image.name.split('.').pop().toLowerCase();
+        const format = extension === 'jpg' ? 'jpeg' : extension;
+
+        return TFRecordEncoder.encodeExample({
+            'image/height': TFRecordEncoder.int64Feature([height]),
+            'image/width': TFRecordEncoder.int64Feature([width]),
+            'image/filename': TFRecordEncoder.bytesFeature([image.name]),
+            'image/source_id': TFRecordEncoder.bytesFeature([image.name]),
+            'image/encoded': TFRecordEncoder.bytesFeature([encoded]),
+            'image/format': TFRecordEncoder.bytesFeature([format]),
+            'image/object/bbox/xmin': TFRecordEncoder.floatFeature(xmins),
+            'image/object/bbox/xmax': TFRecordEncoder.floatFeature(xmaxs),
+            'image/object/bbox/ymin': TFRecordEncoder.floatFeature(ymins),
+            'image/object/bbox/ymax': TFRecordEncoder.floatFeature(ymaxs),
+            'image/object/class/text': TFRecordEncoder.bytesFeature(classTexts),
+            'image/object/class/label': TFRecordEncoder.int64Feature(classLabels)
+        });
+    }
+
+    // TF OD API label map, ids starting at 1
+    createTFLabelMap() {
+        return this.project.labels.map((label, index) => `item {
+  id: ${index + 1}
+  name: '${String(label).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'
+}
+`).join('\n');
+    }
+
+    toCSVField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Space separated formats can't have spaces in class names
+    toFormatLabel(label) {
+        return String(label).trim().replace(/\s+/g, '_');
+    }
+
+    // ========== CITYSCAPES EXPORT ==========
+    // gtFine/[split/]<image>_gtFine_polygons.json, _labelIds.png and _instanceIds.png from polygons
+    // and mask paint. Ids come from the label id mapping edited next to the label set.
+    async exportToCityscapes(options = {}) {
+        const zip = new DatasetArchive();
+
+        for (const split of this.getImageSplits(options)) {
+            const folder = split.name ? `gtFine/${split.name}/` : 'gtFine/';
+
+            for (const image of split.images) {
+                await this.tick();
+
+                const annotations = (this.project.annotations[image.path] || [])
+                    .filter(annotation => this.project.labels.includes(annotation.label));
+                if (!annotations.some(annotation => MaskRasterizer.isAreaAnnotation(annotation))) continue;
+
+                const { width, height } = await ImageUtils.ensureSize(image);
+                const instances = MaskRasterizer.buildInstanceMasks(annotations, width, height);
+                if (instances.length === 0) continue;
+
+                // instanceIds: labelId * 1000 + instance number within that label, as cityscapesScripts does
+                const instanceCounts = {};
+                const instanceIds = instances.map(({ annotation }) => {
+                    const labelId = this.getLabelId(annotation.label);
+                    if (labelId > CITYSCAPES_MAX_LABEL_ID) {
+                        throw new Error(`Label "${annotation.label}" has id ${labelId} - Cityscapes label ids must be 0-${CITYSCAPES_MAX_LABEL_ID}`);
+                    }
+
+                    instanceCounts[labelId] = instanceCounts[labelId] || 0;
+                    const instanceId = labelId * 1000 + instanceCounts[labelId]++;
+                    if (instanceId > CITYSCAPES_MAX_INSTANCE_ID) {
+                        throw new Error(`Instance id ${instanceId} of label "${annotation.label}" in ${image.name} does not fit a 16-bit instanceIds PNG - use label ids up to ${Math.floor(CITYSCAPES_MAX_INSTANCE_ID / 1000)} for labels with instances`);
+                    }
+                    return instanceId;
+                });
+
+                const labelIdMask = MaskRasterizer.composeMasks(instances, width, height,
+                    ({ annotation }) => this.getLabelId(annotation.label));
+                const instanceIdMask = MaskRasterizer.composeMasks(instances, width, height,
+                    (instance, index) => instanceIds[index]);
+
+                const prefix = `${folder}${ImageUtils.baseName(image.name)}_gtFine`;
+                zip.file(`${prefix}_polygons.json`, JSON.stringify(this.convertToCityscapesFormat(instances, width, height), null, 2));
+                await this.addBinaryFile(zip, `${prefix}_labelIds.png`, PNGEncoder.encodeGrayscale(labelIdMask, width, height, 8));
+                await this.addBinaryFile(zip, `${prefix}_instanceIds.png`, PNGEncoder.encodeGrayscale(instanceIdMask, width, height, 16));
+            }
+        }
+
+        return zip;
+    }
+
+    // Polygons are written as drawn; every painted region becomes one polygon of its outer contour
+    convertToCityscapesFormat(instances, imageWidth, imageHeight) {
+        const objects = [];
+
+        instances.forEach(({ annotation, region }) => {
+            const polygons = annotation.type === 'polygon'
+                ? [annotation.points]
+                : MaskRasterizer.traceOuterContours(region);
+
+            polygons.forEach(points => {
+                objects.push({
+                    label: annotation.label,
+                    polygon: points.map(p => [p.x, p.y])
+                });
+            });
+        });
+
+        return { imgHeight: imageHeight, imgWidth: imageWidth, objects: objects };
+    }
+
+    // User-assigned id, otherwise the label's position (1-based - 0 is "unlabeled")
+    getLabelId(label) {
+        const id = (this.project.labelIds || {})[label];
+        return Number.isInteger(id) ? id : this.project.labels.indexOf(label) + 1;
+    }
+
+    // ========== CLASSIFICATION EXPORT ==========
+    // ImageNet-style [split/]class_name/image tree, either whole images by their image
+    // tags or one crop per bounding box (padded by a percentage of the box size)
+    async exportToClassification(options = {}) {
+        const zip = new DatasetArchive();
+        const { source, padding } = options.classification || { source: 'tags', padding: 0 };
+        let written = 0;
+
+        for (const split of this.getImageSplits(options)) {
+            const folder = split.name ? `${split.name}/` : '';
+
+            for (const image of split.images) {
+                await this.tick();
+
+                if (source === 'crops') {
+                    written += await this.addClassificationCrops(zip, folder, image, padding);
+                    continue;
+                }
+
+                (this.project.imageTags[image.path] || [])
+                    .filter(tag => this.project.labels.includes(tag))
+                    .forEach(tag => {
+                        zip.image(`${folder}${this.toFolderName(tag)}/${image.name}`, image.path);
+                        written++;
+                    });
+            }
+        }
+
+        if (written === 0) {
+            throw new Error(source === 'crops'
+                ? 'No bounding boxes to crop'
+                : 'No tagged images - tag images with a label first');
+        }
+        return zip;
+    }
+
+    async addClassificationCrops(zip, folder, image, padding) {
+        const boxes = (this.project.annotations[image.path] || []).filter(annotation =>
+            annotation.type === 'boundingbox' && this.project.labels.includes(annotation.label)
+        );
+        if (boxes.length === 0) return 0;
+
+        let header;
+        try {
+            header = await ImageUtils.readHeader(image.path);
+        } catch (error) {
+            zip.missing(image.path);
+            return 0;
+        }
+
+        const { width, height } = header;
+        const extension = ImageUtils.encodedName(image.name).split('.').pop();
+        const outputs = [];
+        const crops = [];
+
+        for (const [index, annotation] of boxes.entries()) {
+            const bounds = this.getAnnotationBounds(annotation);
+            const padX = (bounds.maxX - bounds.minX) * padding / 100;
+            const padY = (bounds.maxY - bounds.minY) * padding / 100;
+            const left = Math.max(0, Math.floor(bounds.minX - padX));
+            const top = Math.max(0, Math.floor(bounds.minY - padY));
+            const right = Math.min(width, Math.ceil(bounds.maxX + padX));
+            const bottom = Math.min(height, Math.ceil(bounds.maxY + padY));
+            if (right - left < 1 || bottom - top < 1) continue;
+
+            const rect = { x: left, y: top, width: right - left, height: bottom - top };
+            const name = `${folder}${this.toFolderName(annotation.label)}/${ImageUtils.baseName(image.name)}_${index}.${extension}`;
+            const filePath = await this.createWorkFile(name);
+            const transform = { width: rect.width, height: rect.height, scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+            outputs.push(this.getImageOutput(rect, transform, filePath));
+            crops.push({ name, filePath });
+        }
+        if (outputs.length === 0) return 0;
+
+        try {
+            await this.host.renderImages({ source: image.path, orientation: header.orientation, outputs });
+        } catch (error) {
+            zip.missing(image.path);
+            return 0;
+        }
+
+        crops.forEach(crop => zip.written(crop.name, crop.filePath));
+        return crops.length;
+    }
+
+    // Labels become directory names, so path separators and reserved characters are replaced
+    toFolderName(label) {
+        return String(label).trim().replace(/[\\/:*?"<>|]/g, '_') || '_';
+    }
+
+    // ========== PNG MASK EXPORT ==========
+    // semantic/<image>.png: pixel = label index + 1 (0 = background), listed in labelmap.txt
+    // instances/<image>.png: pixel = instance number within the image (0 = background)
+    async exportToMasks() {
+        const zip = new DatasetArchive();
+
+        const labelMap = ['0 background', ...this.project.labels.map((label, index) => `${index + 1} ${label}`)];
+        zip.metadata('labelmap.txt', labelMap.join('\n'));
+
+        for (const image of this.project.images) {
+            await this.tick();
+
+            const annotations = this.project.annotations[image.path] || [];
+            if (!annotations.some(annotation => MaskRasterizer.isAreaAnnotation(annotation))) continue;
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            const instances = MaskRasterizer.buildInstanceMasks(annotations, width, height);
+            if (instances.length === 0) continue;
+
+            const semantic = MaskRasterizer.composeMasks(instances, width, height,
+                ({ annotation }) => this.project.labels.indexOf(annotation.label) + 1);
+            const instanceIds = MaskRasterizer.composeMasks(instances, width, height,
+                (instance, index) => index + 1);
+
+            const baseName = ImageUtils.baseName(image.name);
+            await this.addBinaryFile(zip, `semantic/${baseName}.png`, PNGEncoder.encodeGrayscale(semantic, width, height));
+            await this.addBinaryFile(zip, `instances/${baseName}.png`, PNGEncoder.encodeGrayscale(instanceIds, width, height));
+        }
+
+        return zip;
+    }
+}
@@ -1,30 +1,29 @@
 // TagiFLY Export System Module
-// JSON, YOLO, COCO, Pascal VOC export işlemleri
+// Export modal, options and job progress; the dataset itself is built by the export worker
+// (see datasetBuilder.js) started from the main process
 
 import { NotificationManager } from './notification.js';
+import { DatasetBuilder } from './datasetBuilder.js';
 const { ipcRenderer } = require('electron');
 
-// JSZip'i global olarak yükle
-let JSZip = null;
-
-// JSZip'i yükle
-const loadJSZip = async () => {
-    if (!JSZip) {
-        try {
-            // Electron'da require daha güvenilir
-            JSZip = require('jszip');
-            console.log('✅ JSZip yüklendi');
-        } catch (error) {
-            console.error('❌ JSZip yükleme hatası:', error);
-            throw new Error('JSZip kütüphanesi yüklenemedi. Lütfen uygulamayı yeniden başlatın.');
-        }
-    }
-    return JSZip;
-};
+// Tiles below this size explode into one image encode per few pixels; the input's
+// min attribute is not enforced on typed values
+const MIN_TILE_SIZE = 32;
+const MAX_TILE_OVERLAP = 90;
 
 export class ExportManager {
     constructor(app) {
         this.app = app;
+        this.job = null;
+
+        ipcRenderer.on('export-progress', (event, jobId, progress) => {
+            if (!this.job || this.job.id !== jobId || this.job.canceled) return;
+            if (progress.phase === 'preparing') {
+                this.showJobProgress(`Preparing ${progress.done} / ${progress.total}`, progress.percent);
+            } else {
+                this.showJobProgress(`Writing… ${progress.percent}%`, progress.percent);
+            }
+        });
     }
 
     // ========== EXPORT MODAL ==========
@@ -37,6 +36,13 @@ export class ExportManager {
     }
 
     closeExportModal() {
+        // Closing while an export runs cancels it; the modal closes once the job stops
+        if (this.job) {
+            this.job.closeModal = true;
+            this.cancelJob();
+            return;
+        }
+
         const modal = document.getElementById('exportModal');
         if (modal) {
             modal.classList.remove('show');
@@ -44,53 +50,113 @@ export class ExportManager {
         }
     }
 
+    // Settings shown under the format grid
+    getExportOptions() {
+        const checked = id => {
+            const input = document.getElementById(id);
+            return input ? input.checked : false;
+        };
+        const value = (id, fallback) => {
+            const input = document.getElementById(id);
+            return input && input.value ? input.value : fallback;
+        };
+        const number = id => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            return Number.isFinite(value) ? value : 0;
+        };
+        const resizeMode = value('resizeMode', 'none');
+
+        // Overlap close to 100% never advances to the next tile
+        const tileOverlap = number('tileOverlap');
+        if (checked('tileEnabled') && (tileOverlap < 0 || tileOverlap > MAX_TILE_OVERLAP)) {
+            throw new Error(`Tile overlap must be between 0 and ${MAX_TILE_OVERLAP}%`);
+        }
+
+        return {
+            outputMode: value('exportOutputMode', 'zip'),
+            existingFiles: value('exportExistingFiles', 'overwrite'),
+            includeImages: checked('includeImages'),
+            cocoMaskCrowd: checked('cocoMaskCrowd'),
+            split: checked('splitEnabled') ? {
+                ratios: {
+                    train: number('splitTrain'),
+                    val: number('splitVal'),
+                    test: number('splitTest')
+                },
+                seed: number('splitSeed'),
+                stratify: checked('splitStratify')
+            } : null,
+            classification: {
+                source: value('classificationSource', 'tags'),
+                padding: number('cropPadding')
+            },
+            tile: checked('tileEnabled') ? {
+                size: Math.max(MIN_TILE_SIZE, Math.round(number('tileSize'))),
+                overlap: tileOverlap / 100,
+                minVisibility: Math.min(Math.max(number('tileMinVisibility'), 0), 100) / 100
+            } : null,
+            resize: resizeMode !== 'none' ? {
+                mode: resizeMode,
+                width: Math.max(1, Math.round(number('resizeSize'))),
+                height: Math.max(1, Math.round(number(resizeMode === 'fixed' ? 'resizeHeight' : 'resizeSize')))
+            } : null
+        };
+    }
+
     // ========== EXPORT ANNOTATIONS ==========
     async exportAnnotations(format) {
         console.log(`📤 Exporting annotations in ${format} format`);
 
-        // Validate that we have annotations to export
-        if (!this.app.annotations || Object.keys(this.app.annotations).length === 0) {
+        if (this.job) return; // one export at a time
+
+        // Validate that we have annotations (or image tags) to export
+        const hasTags = Object.keys(this.app.imageTags || {}).length > 0;
+        if ((!this.app.annotations || Object.keys(this.app.annotations).length === 0) && !hasTags) {
             NotificationManager.error('No annotations to export. Please create some annotations first.');
             return;
         }
 
         try {
-            let exportData;
-            let fileName;
-            let fileExtension;
+            const options = this.getExportOptions();
+            const { fileName, fileExtension } = DatasetBuilder.getOutput(format, options);
+
+            // Dataset zips can be written as a plain folder tree instead
+            const toFolder = fileExtension === 'zip' && options.outputMode === 'folder';
+            if (options.outputMode === 'folder' && !toFolder) {
+                NotificationManager.info(`${format.toUpperCase()} is a single file - saving it as a file`);
+            }
 
-            switch (format) {
-                case 'json':
-                    exportData = this.exportToJSON();
-                    fileName = 'tagifly_annotations.json';
-                    fileExtension = 'json';
-                    break;
-                case 'yolo':
-                    const yoloZip = await this.exportToYOLO();
-                    exportData = yoloZip.buffer;
-                    fileName = 'yolo_dataset.zip';
-                    fileExtension = 'zip';
-                    break;
-                case 'coco':
-                    exportData = this.exportToCOCO();
-                    fileName = 'coco_annotations.json';
-                    fileExtension = 'json';
-                    break;
-                case 'pascal':
-                    const pascalZip = await this.exportToPascalVOC();
-                    exportData = pascalZip.buffer;
-                    fileName = 'pascal_voc_dataset.zip';
-                    fileExtension = 'zip';
-                    break;
-                default:
-                    throw new Error(`Unsupported format: ${format}`);
+            // Pick the destination first so the job can write straight to it
+            const target = await ipcRenderer.invoke('choose-export-path', fileName, fileExtension, toFolder);
+            if (target.canceled) {
+                NotificationManager.info('Export canceled');
+                return;
             }
 
-            // Save file using Electron
-            const result = await ipcRenderer.invoke('save-file', exportData, fileName, fileExtension);
+            // The main process builds the dataset in a worker and writes it; the renderer
+            // only describes the job
+            this.startJob();
+            const job = {
+                format: format,
+                options: options,
+                project: this.getJobProject(),
+                directory: toFolder,
+                policy: options.existingFiles
+            };
+            const result = await ipcRenderer.invoke('run-export-job', this.job.id, target.filePath, job);
 
             if (result.success) {
                 NotificationManager.success(`${format.toUpperCase()} annotations exported successfully!`);
+                const missingImages = result.missingImages || [];
+                if (missingImages.length > 0) {
+                    console.log('⚠️ Images not found or unreadable during export:', missingImages);
+                    NotificationManager.error(`${missingImages.length} image file(s) could not be found or read and were left out`);
+                }
+                if (result.skippedFiles > 0) {
+                    NotificationManager.info(`${result.skippedFiles} existing file(s) were kept`);
+                }
+                this.endJob();
                 this.closeExportModal();
                 console.log(`✅ Export completed: ${result.path}`);
             } else if (result.canceled) {
@@ -100,489 +166,72 @@ export class ExportManager {
             }
 
         } catch (error) {
-            console.error('❌ Export error:', error);
-            NotificationManager.error(`Export failed: ${error.message}`);
-        }
-    }
-
-    // ========== JSON EXPORT ==========
-    exportToJSON() {
-        const exportData = {
-            version: '2.0.0',
-            created: new Date().toISOString(),
-            tool: 'TagiFLY v2.0.0',
-            images: this.app.images.map(img => ({
-                path: img.path,
-                name: img.name,
-                url: img.url,
-                width: img.originalWidth || 0,
-                height: img.originalHeight || 0
-            })),
-            labels: this.app.labels,
-            labelColors: this.app.labelColors,
-            annotations: this.app.annotations,
-            annotationTypes: {
-                boundingbox: 'Rectangle annotations',
-                polygon: 'Polygon annotations', 
-                point: 'Point annotations',
-                keypoint: 'Keypoint annotations',
-                pose: 'Pose annotations (17 keypoints)',
-                polyline: 'Polyline annotations',
-                maskpaint: 'Mask paint annotations'
-            }
-        };
-
-        return JSON.stringify(exportData, null, 2);
-    }
-
-    // ========== YOLO EXPORT ==========
-    async exportToYOLO() {
-        const JSZipClass = await loadJSZip();
-        const zip = new JSZipClass();
-
-        // Create classes.txt
-        const classesContent = this.app.labels.join('\n');
-        zip.file('classes.txt', classesContent);
-
-        // Create annotation files for each image
-        for (const image of this.app.images) {
-            const imagePath = image.path;
-            const annotations = this.app.annotations[imagePath] || [];
-            
-            if (annotations.length > 0) {
-                const fileName = image.name.replace(/\.[^/.]+$/, '.txt');
-                // Get image dimensions from the image object
-                const imageWidth = image.originalWidth || 0;
-                const imageHeight = image.originalHeight || 0;
-                const yoloContent = this.convertToYOLOFormat(annotations, imageWidth, imageHeight);
-                zip.file(fileName, yoloContent);
+            if (this.job && this.job.canceled) {
+                NotificationManager.info('Export canceled');
+            } else {
+                console.error('❌ Export error:', error);
+                NotificationManager.error(`Export failed: ${error.message}`);
             }
+        } finally {
+            const closeModal = this.job && this.job.closeModal;
+            this.endJob();
+            if (closeModal) this.closeExportModal();
         }
-
-        return await zip.generateAsync({ type: 'uint8array' });
-    }
-
-    convertToYOLOFormat(annotations, imageWidth, imageHeight) {
-        return annotations.map(annotation => {
-            const labelIndex = this.app.labels.indexOf(annotation.label);
-            if (labelIndex === -1) return '';
-            
-            switch (annotation.type) {
-                case 'boundingbox':
-                    const centerX = (annotation.x + annotation.width / 2) / imageWidth;
-                    const centerY = (annotation.y + annotation.height / 2) / imageHeight;
-                    const width = annotation.width / imageWidth;
-                    const height = annotation.height / imageHeight;
-                    return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
-                
-                case 'point':
-                    const pointX = annotation.x / imageWidth;
-                    const pointY = annotation.y / imageHeight;
-                    // Point as very small bounding box (0.01 x 0.01)
-                    return `${labelIndex} ${pointX.toFixed(6)} ${pointY.toFixed(6)} 0.01 0.01`;
-                
-                case 'keypoint':
-                    const keypointX = annotation.x / imageWidth;
-                    const keypointY = annotation.y / imageHeight;
-                    // Keypoint as very small bounding box (0.01 x 0.01)
-                    return `${labelIndex} ${keypointX.toFixed(6)} ${keypointY.toFixed(6)} 0.01 0.01`;
-                
-                case 'polygon':
-                    // Convert polygon to bounding box
-                    if (annotation.points && annotation.points.length >= 3) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        const minX = Math.min(...xs);
-                        const maxX = Math.max(...xs);
-                        const minY = Math.min(...ys);
-                        const maxY = Math.max(...ys);
-                        
-                        const centerX = (minX + maxX) / 2 / imageWidth;
-                        const centerY = (minY + maxY) / 2 / imageHeight;
-                        const width = (maxX - minX) / imageWidth;
-                        const height = (maxY - minY) / imageHeight;
-                        
-                        return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
-                    }
-                    return '';
-                
-                case 'pose':
-                    // Convert pose to bounding box around all keypoints
-                    if (annotation.keypoints && annotation.keypoints.length > 0) {
-                        const xs = annotation.keypoints.map(kp => kp.x);
-                        const ys = annotation.keypoints.map(kp => kp.y);
-                        const minX = Math.min(...xs);
-                        const maxX = Math.max(...xs);
-                        const minY = Math.min(...ys);
-                        const maxY = Math.max(...ys);
-                        
-                        const centerX = (minX + maxX) / 2 / imageWidth;
-                        const centerY = (minY + maxY) / 2 / imageHeight;
-                        const width = (maxX - minX) / imageWidth;
-                        const height = (maxY - minY) / imageHeight;
-                        
-                        return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
-                    }
-                    return '';
-                
-                case 'polyline':
-                    // Convert polyline to bounding box
-                    if (annotation.points && annotation.points.length >= 2) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        const minX = Math.min(...xs);
-                        const maxX = Math.max(...xs);
-                        const minY = Math.min(...ys);
-                        const maxY = Math.max(...ys);
-                        
-                        const centerX = (minX + maxX) / 2 / imageWidth;
-                        const centerY = (minY + maxY) / 2 / imageHeight;
-                        const width = (maxX - minX) / imageWidth;
-                        const height = (maxY - minY) / imageHeight;
-                        
-                        return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
-                    }
-                    return '';
-                
-                case 'maskpaint':
-                    // Convert mask paint to bounding box
-                    if (annotation.points && annotation.points.length >= 2) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        const minX = Math.min(...xs);
-                        const maxX = Math.max(...xs);
-                        const minY = Math.min(...ys);
-                        const maxY = Math.max(...ys);
-                        
-                        const centerX = (minX + maxX) / 2 / imageWidth;
-                        const centerY = (minY + maxY) / 2 / imageHeight;
-                        const width = (maxX - minX) / imageWidth;
-                        const height = (maxY - minY) / imageHeight;
-                        
-                        return `${labelIndex} ${centerX.toFixed(6)} ${centerY.toFixed(6)} ${width.toFixed(6)} ${height.toFixed(6)}`;
-                    }
-                    return '';
-                
-                default:
-                    return '';
-            }
-        }).filter(line => line !== '').join('\n');
     }
 
-    // ========== COCO EXPORT ==========
-    exportToCOCO() {
-        const cocoData = {
-            info: {
-                description: 'TagiFLY v2.0.0 Export',
-                version: '2.0.0',
-                year: new Date().getFullYear(),
-                contributor: 'TagiFLY',
-                date_created: new Date().toISOString()
-            },
-            licenses: [{
-                id: 1,
-                name: 'MIT',
-                url: 'https://opensource.org/licenses/MIT'
-            }],
-            images: [],
-            annotations: [],
-            categories: []
+    // ========== EXPORT JOB ==========
+    // One export at a time; cancel() stops the main-process worker and write
+    startJob() {
+        this.job = {
+            id: `export-${Date.now()}`,
+            canceled: false
         };
 
-        // Add categories
-        this.app.labels.forEach((label, index) => {
-            cocoData.categories.push({
-                id: index + 1,
-                name: label,
-                supercategory: 'object'
-            });
-        });
-
-        // Add images and annotations
-        let annotationId = 1;
-        this.app.images.forEach((image, imageIndex) => {
-            const imagePath = image.path;
-            const annotations = this.app.annotations[imagePath] || [];
-
-            // Get image dimensions from the image object
-            const imageWidth = image.originalWidth || 0;
-            const imageHeight = image.originalHeight || 0;
-            
-            // Add image info
-            cocoData.images.push({
-                id: imageIndex + 1,
-                width: imageWidth,
-                height: imageHeight,
-                file_name: image.name,
-                license: 1,
-                date_captured: new Date().toISOString()
-            });
-
-            // Add annotations - support all annotation types
-            annotations.forEach(annotation => {
-                const categoryId = this.app.labels.indexOf(annotation.label) + 1;
-                if (categoryId === 0) return; // Skip if label not found
-                
-                let bbox, area, segmentation = null;
-                
-                switch (annotation.type) {
-                    case 'boundingbox':
-                        bbox = [annotation.x, annotation.y, annotation.width, annotation.height];
-                        area = annotation.width * annotation.height;
-                        break;
-                    
-                    case 'point':
-                        // Point as very small bounding box
-                        bbox = [annotation.x, annotation.y, 1, 1];
-                        area = 1;
-                        break;
-                    
-                    case 'keypoint':
-                        // Keypoint as very small bounding box
-                        bbox = [annotation.x, annotation.y, 1, 1];
-                        area = 1;
-                        break;
-                    
-                    case 'polygon':
-                        if (annotation.points && annotation.points.length >= 3) {
-                            // Convert polygon to bounding box
-                            const xs = annotation.points.map(p => p.x);
-                            const ys = annotation.points.map(p => p.y);
-                            const minX = Math.min(...xs);
-                            const maxX = Math.max(...xs);
-                            const minY = Math.min(...ys);
-                            const maxY = Math.max(...ys);
-                            
-                            bbox = [minX, minY, maxX - minX, maxY - minY];
-                            area = (maxX - minX) * (maxY - minY);
-                            
-                            // Add segmentation data
-                            const polygonPoints = annotation.points.flatMap(p => [p.x, p.y]);
-                            segmentation = [polygonPoints];
-                        } else {
-                            return; // Skip invalid polygon
-                        }
-                        break;
-                    
-                    case 'pose':
-                        if (annotation.keypoints && annotation.keypoints.length > 0) {
-                            // Convert pose to bounding box around all keypoints
-                            const xs = annotation.keypoints.map(kp => kp.x);
-                            const ys = annotation.keypoints.map(kp => kp.y);
-                            const minX = Math.min(...xs);
-                            const maxX = Math.max(...xs);
-                            const minY = Math.min(...ys);
-                            const maxY = Math.max(...ys);
-                            
-                            bbox = [minX, minY, maxX - minX, maxY - minY];
-                            area = (maxX - minX) * (maxY - minY);
-                        } else {
-                            return; // Skip invalid pose
-                        }
-                        break;
-                    
-                    case 'polyline':
-                        if (annotation.points && annotation.points.length >= 2) {
-                            // Convert polyline to bounding box
-                            const xs = annotation.points.map(p => p.x);
-                            const ys = annotation.points.map(p => p.y);
-                            const minX = Math.min(...xs);
-                            const maxX = Math.max(...xs);
-                            const minY = Math.min(...ys);
-                            const maxY = Math.max(...ys);
-                            
-                            bbox = [minX, minY, maxX - minX, maxY - minY];
-                            area = (maxX - minX) * (maxY - minY);
-                        } else {
-                            return; // Skip invalid polyline
-                        }
-                        break;
-                    
-                    case 'maskpaint':
-                        if (annotation.points && annotation.points.length >= 2) {
-                            // Convert mask paint to bounding box
-                            const xs = annotation.points.map(p => p.x);
-                            const ys = annotation.points.map(p => p.y);
-                            const minX = Math.min(...xs);
-                            const maxX = Math.max(...xs);
-                            const minY = Math.min(...ys);
-                            const maxY = Math.max(...ys);
-                            
-                            bbox = [minX, minY, maxX - minX, maxY - minY];
-                            area = (maxX - minX) * (maxY - minY);
-                        } else {
-                            return; // Skip invalid mask paint
-                        }
-                        break;
-                    
-                    default:
-                        return; // Skip unsupported types
-                }
-                
-                if (bbox && area > 0) {
-                    const annotationData = {
-                        id: annotationId++,
-                        image_id: imageIndex + 1,
-                        category_id: categoryId,
-                        bbox: bbox,
-                        area: area,
-                        iscrowd: 0
-                    };
-                    
-                    if (segmentation) {
-                        annotationData.segmentation = segmentation;
-                    }
-                    
-                    cocoData.annotations.push(annotationData);
-                }
-            });
-        });
-
-        return JSON.stringify(cocoData, null, 2);
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.classList.add('exporting');
+        this.showJobProgress('Preparing…', 0);
     }
 
-    // ========== PASCAL VOC EXPORT ==========
-    async exportToPascalVOC() {
-        const JSZipClass = await loadJSZip();
-        const zip = new JSZipClass();
-
-        // Create annotation files for each image
-        for (const image of this.app.images) {
-            const imagePath = image.path;
-            const annotations = this.app.annotations[imagePath] || [];
-            
-            if (annotations.length > 0) {
-                const fileName = image.name.replace(/\.[^/.]+$/, '.xml');
-                const xmlContent = this.convertToPascalVOCFormat(image, annotations);
-                zip.file(fileName, xmlContent);
-            }
-        }
+    endJob() {
+        if (!this.job) return;
+        this.job = null;
 
-        return await zip.generateAsync({ type: 'uint8array' });
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.classList.remove('exporting');
     }
 
-    convertToPascalVOCFormat(image, annotations) {
-        // Get image dimensions from the image object
-        const width = image.originalWidth || 0;
-        const height = image.originalHeight || 0;
+    cancelJob() {
+        if (!this.job || this.job.canceled) return;
 
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>
-<annotation>
-    <folder>images</folder>
-    <filename>${image.name}</filename>
-    <path>${image.path}</path>
-    <source>
-        <database>TagiFLY</database>
-    </source>
-    <size>
-        <width>${width}</width>
-        <height>${height}</height>
-        <depth>3</depth>
-    </size>
-    <segmented>0</segmented>`;
+        this.job.canceled = true;
+        this.showJobProgress('Canceling…', null);
+        ipcRenderer.send('cancel-export-job', this.job.id);
+        console.log('🛑 Export cancel requested');
+    }
 
-        annotations.forEach(annotation => {
-            let xmin, ymin, xmax, ymax;
-            
-            switch (annotation.type) {
-                case 'boundingbox':
-                    xmin = Math.round(annotation.x);
-                    ymin = Math.round(annotation.y);
-                    xmax = Math.round(annotation.x + annotation.width);
-                    ymax = Math.round(annotation.y + annotation.height);
-                    break;
-                
-                case 'point':
-                    // Point as very small bounding box
-                    xmin = Math.round(annotation.x);
-                    ymin = Math.round(annotation.y);
-                    xmax = Math.round(annotation.x + 1);
-                    ymax = Math.round(annotation.y + 1);
-                    break;
-                
-                case 'keypoint':
-                    // Keypoint as very small bounding box
-                    xmin = Math.round(annotation.x);
-                    ymin = Math.round(annotation.y);
-                    xmax = Math.round(annotation.x + 1);
-                    ymax = Math.round(annotation.y + 1);
-                    break;
-                
-                case 'polygon':
-                    if (annotation.points && annotation.points.length >= 3) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        xmin = Math.round(Math.min(...xs));
-                        ymin = Math.round(Math.min(...ys));
-                        xmax = Math.round(Math.max(...xs));
-                        ymax = Math.round(Math.max(...ys));
-                    } else {
-                        return; // Skip invalid polygon
-                    }
-                    break;
-                
-                case 'pose':
-                    if (annotation.keypoints && annotation.keypoints.length > 0) {
-                        const xs = annotation.keypoints.map(kp => kp.x);
-                        const ys = annotation.keypoints.map(kp => kp.y);
-                        xmin = Math.round(Math.min(...xs));
-                        ymin = Math.round(Math.min(...ys));
-                        xmax = Math.round(Math.max(...xs));
-                        ymax = Math.round(Math.max(...ys));
-                    } else {
-                        return; // Skip invalid pose
-                    }
-                    break;
-                
-                case 'polyline':
-                    if (annotation.points && annotation.points.length >= 2) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        xmin = Math.round(Math.min(...xs));
-                        ymin = Math.round(Math.min(...ys));
-                        xmax = Math.round(Math.max(...xs));
-                        ymax = Math.round(Math.max(...ys));
-                    } else {
-                        return; // Skip invalid polyline
-                    }
-                    break;
-                
-                case 'maskpaint':
-                    if (annotation.points && annotation.points.length >= 2) {
-                        const xs = annotation.points.map(p => p.x);
-                        const ys = annotation.points.map(p => p.y);
-                        xmin = Math.round(Math.min(...xs));
-                        ymin = Math.round(Math.min(...ys));
-                        xmax = Math.round(Math.max(...xs));
-                        ymax = Math.round(Math.max(...ys));
-                    } else {
-                        return; // Skip invalid mask paint
-                    }
-                    break;
-                
-                default:
-                    return; // Skip unsupported types
-            }
-            
-            // Add object to XML
-            xml += `
-    <object>
-        <name>${annotation.label}</name>
-        <pose>Unspecified</pose>
-        <truncated>0</truncated>
-        <difficult>0</difficult>
-        <bndbox>
-            <xmin>${xmin}</xmin>
-            <ymin>${ymin}</ymin>
-            <xmax>${xmax}</xmax>
-            <ymax>${ymax}</ymax>
-        </bndbox>
-    </object>`;
+    // What the export worker needs from the open project. Label colours are resolved here,
+    // where missing ones get assigned.
+    getJobProject() {
+        const labelColors = {};
+        this.app.labels.forEach(label => {
+            labelColors[label] = this.app.getLabelColor(label);
         });
 
-        xml += `
-</annotation>`;
+        return {
+            images: this.app.images,
+            annotations: this.app.annotations,
+            imageTags: this.app.imageTags || {},
+            labels: this.app.labels,
+            labelColors: labelColors,
+            labelIds: this.app.labelIds
+        };
+    }
 
-        return xml;
+    // percent: null leaves the bar where it is
+    showJobProgress(text, percent) {
+        const label = document.getElementById('exportProgressText');
+        const fill = document.getElementById('exportProgressFill');
+        if (label) label.textContent = text;
+        if (fill && percent !== null) fill.style.width = `${percent}%`;
     }
 }
@@ -50,6 +50,8 @@ export class HistoryManager {
         }
 
         this.updateHistoryButtons();
+        this.app.projectManager.appendJournal('do', historyEntry);
+        this.app.projectManager.scheduleSave();
         console.log(`💾 History saved for ${imagePath}: ${action}`, historyEntry);
     }
 
@@ -70,6 +72,8 @@ export class HistoryManager {
         this.applyHistoryEntry(historyEntry, 'undo');
         this.imageHistoryIndex[imagePath]--;
         this.updateHistoryButtons();
+        this.app.projectManager.appendJournal('undo', historyEntry);
+        this.app.projectManager.scheduleSave();
 
         // Silent undo - no notification spam
         console.log(`↶ Undo applied for ${imagePath}:`, historyEntry);
@@ -92,6 +96,8 @@ export class HistoryManager {
 
         this.applyHistoryEntry(historyEntry, 'redo');
         this.updateHistoryButtons();
+        this.app.projectManager.appendJournal('redo', historyEntry);
+        this.app.projectManager.scheduleSave();
 
         // Silent redo - no notification spam
         console.log(`↷ Redo applied for ${imagePath}:`, historyEntry);
@@ -259,6 +265,37 @@ export class HistoryManager {
         }
     }
 
+    // Re-apply journaled actions on top of the restored project (crash recovery).
+    // A new action is re-applied like a redo - its data already holds the final state.
+    replayJournal(records) {
+        let applied = 0;
+
+        records.forEach(record => {
+            // Snapshots replace the state replayed so far; later records apply on top
+            if (record.direction === 'snapshot') {
+                if (!record.project) return;
+                this.app.annotations = {};
+                this.app.imageTags = {};
+                this.app.projectManager.restoreProject(record.project);
+                applied++;
+                return;
+            }
+
+            const entry = record.entry;
+            if (!entry || !entry.imagePath) return;
+
+            if (!this.app.annotations[entry.imagePath]) {
+                this.app.annotations[entry.imagePath] = [];
+            }
+
+            this.applyHistoryEntry(entry, record.direction === 'undo' ? 'undo' : 'redo');
+            applied++;
+        });
+
+        console.log(`🔁 Journal replayed: ${applied}/${records.length} entries`);
+        return applied;
+    }
+
     updateHistoryButtons() {
         if (!this.app.currentImage) {
             document.getElementById('undoBtn').disabled = true;
@@ -0,0 +1,122 @@
+// TagiFLY Image Utilities Module
+// Natural image size lookup and file name helpers shared by importers/exporters
+
+const fs = require('fs');
+
+// JPEG start-of-frame markers carry the size; C4 (DHT), C8 (JPG) and CC (DAC) are not frames
+const JPEG_NON_FRAME_MARKERS = [0xC4, 0xC8, 0xCC];
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+export class ImageUtils {
+    // Returns { width, height } of an image object, reading the file header only when
+    // it has never been displayed (originalWidth is set once the canvas draws it)
+    static async ensureSize(image) {
+        if (image.originalWidth && image.originalHeight) {
+            return { width: image.originalWidth, height: image.originalHeight };
+        }
+
+        const { width, height } = await this.readHeader(image.path);
+        image.originalWidth = width;
+        image.originalHeight = height;
+        return { width, height };
+    }
+
+    // { width, height, orientation } from a PNG, JPEG, GIF or BMP header without decoding
+    // the pixels. Sizes are as displayed: a JPEG whose EXIF orientation turns it by 90°
+    // reports its height as width, the way the browser draws it.
+    static async readHeader(filePath) {
+        const file = await fs.promises.open(filePath, 'r');
+        const read = async (position, length) => {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await file.read(buffer, 0, length, position);
+            return buffer.subarray(0, bytesRead);
+        };
+
+        try {
+            const head = await read(0, 26);
+            if (head.length >= 24 && head.readUInt32BE(0) === 0x89504E47) {
+                return { width: head.readUInt32BE(16), height: head.readUInt32BE(20), orientation: 1 };
+            }
+            if (head.length >= 10 && head.toString('latin1', 0, 3) === 'GIF') {
+                return { width: head.readUInt16LE(6), height: head.readUInt16LE(8), orientation: 1 };
+            }
+            if (head.length >= 26 && head.toString('latin1', 0, 2) === 'BM') {
+                // Negative heights mark top-down bitmaps
+                return { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)), orientation: 1 };
+            }
+            if (head.length >= 2 && head[0] === 0xFF && head[1] === 0xD8) {
+                return await this.readJPEGHeader(read, filePath);
+            }
+        } finally {
+            await file.close();
+        }
+
+        throw new Error(`Could not read image size: ${filePath}`);
+    }
+
+    // Walks the JPEG segments up to the first frame header; EXIF (APP1) comes before it
+    static async readJPEGHeader(read, filePath) {
+        let position = 2;
+        let orientation = 1;
+
+        for (;;) {
+            const marker = await read(position, 4);
+            if (marker.length < 4 || marker[0] !== 0xFF) break;
+
+            const type = marker[1];
+            const length = marker.readUInt16BE(2);
+            if (length < 2) break;
+            if (type === 0xE1) {
+                orientation = this.readExifOrientation(await read(position + 4, length - 2)) || orientation;
+            } else if (type >= 0xC0 && type <= 0xCF && !JPEG_NON_FRAME_MARKERS.includes(type)) {
+                const frame = await read(position + 5, 4);
+                if (frame.length < 4) break;
+
+                const height = frame.readUInt16BE(0);
+                const width = frame.readUInt16BE(2);
+                // Orientations 5-8 swap the axes
+                return orientation >= 5 ? { width: height, height: width, orientation } : { width, height, orientation };
+            }
+            position += 2 + length;
+        }
+
+        throw new Error(`Could not read image size: ${filePath}`);
+    }
+
+    // Orientation (1-8) from an APP1 segment, or null when it has none
+    static readExifOrientation(segment) {
+        if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return null;
+
+        // Offsets inside EXIF are relative to the TIFF header after "Exif\0\0"
+        const tiff = segment.subarray(6);
+        const little = tiff.toString('latin1', 0, 2) === 'II';
+        const uint16 = offset => little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+        const uint32 = offset => little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+        try {
+            const ifd = uint32(4);
+            const count = uint16(ifd);
+            for (let i = 0; i < count; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (uint16(entry) === EXIF_ORIENTATION_TAG) {
+                    const orientation = uint16(entry + 8);
+                    return orientation >= 1 && orientation <= 8 ? orientation : null;
+                }
+            }
+        } catch (error) {
+            // Truncated EXIF - treat as unrotated
+        }
+        return null;
+    }
+
+    // Output file name for re-encoded pixels: "photo.bmp" -> "photo.png"
+    static encodedName(fileName) {
+        return /\.(jpe?g|png)$/i.test(fileName) ? fileName : fileName.replace(/\.[^/.]+$/, '') + '.png';
+    }
+
+    // "dir/frame_001.jpg" -> "frame_001"
+    static baseName(fileName) {
+        const name = fileName.split(/[\\/]/).pop();
+        return name.replace(/\.[^/.]+$/, '');
+    }
+}
@@ -0,0 +1,906 @@
+// TagiFLY Import System Module
+// Mevcut datasetleri (TagiFLY JSON, LabelMe, YOLO, COCO, Pascal VOC, CVAT) editöre geri yükleme
+
+import { CONFIG } from './config.js';
+import { NotificationManager } from './notification.js';
+import { ImageUtils } from './imageUtils.js';
+import { ProjectManager } from './project.js';
+const { ipcRenderer } = require('electron');
+
+export class ImportManager {
+    constructor(app) {
+        this.app = app;
+    }
+
+    // ========== IMPORT MODAL ==========
+    openImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) {
+            modal.classList.add('show');
+            console.log('📥 Import modal opened');
+        }
+    }
+
+    closeImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) {
+            modal.classList.remove('show');
+            console.log('❌ Import modal closed');
+        }
+    }
+
+    // ========== IMPORT ANNOTATIONS ==========
+    async importAnnotations(format) {
+        console.log(`📥 Importing annotations in ${format} format`);
+
+        // Every format except TagiFLY's own JSON annotates the images already loaded
+        if (format !== 'tagifly' && (!this.app.images || this.app.images.length === 0)) {
+            NotificationManager.error('Please select the image folder before importing annotations.');
+            return;
+        }
+
+        try {
+            let summary;
+
+            switch (format) {
+                case 'tagifly':
+                    summary = await this.openTagiFLYJSON();
+                    break;
+                case 'labelme':
+                    summary = await this.importFromLabelMe();
+                    break;
+                case 'yolo':
+                    summary = await this.importFromYOLO();
+                    break;
+                case 'coco':
+                    summary = await this.importFromCOCO();
+                    break;
+                case 'pascal':
+                    summary = await this.importFromPascalVOC(false);
+                    break;
+                case 'pascal-zip':
+                    summary = await this.importFromPascalVOC(true);
+                    break;
+                case 'cvat':
+                    summary = await this.importFromCVAT();
+                    break;
+                default:
+                    throw new Error(`Unsupported format: ${format}`);
+            }
+
+            if (!summary) {
+                NotificationManager.info('Import canceled');
+                return;
+            }
+
+            this.closeImportModal();
+            this.showSummary(format, summary);
+        } catch (error) {
+            console.error('❌ Import error:', error);
+            NotificationManager.error(`Import failed: ${error.message}`);
+        }
+    }
+
+    // Shows the dialog and returns the files read by the main process (null when canceled)
+    async readSource(options) {
+        const result = await ipcRenderer.invoke('read-annotation-source', options);
+        if (!result) return null;
+        if (!result.success) {
+            throw new Error(result.error || 'Could not read import source');
+        }
+        return result;
+    }
+
+    // ========== SHARED HELPERS ==========
+    // Image lookup by file name without extension - label files rarely keep the image extension
+    buildImageIndex() {
+        const index = new Map();
+        this.app.images.forEach(image => {
+            index.set(ImageUtils.baseName(image.name), image);
+        });
+        return index;
+    }
+
+    // Exact file name first, then the same name with a different extension
+    findImage(imageIndex, fileName) {
+        const name = fileName.split(/[\\/]/).pop();
+        return this.app.images.find(image => image.name === name) || imageIndex.get(ImageUtils.baseName(name));
+    }
+
+    mergeLabels(labelNames) {
+        const added = [];
+        labelNames.forEach(label => {
+            if (label && !this.app.labels.includes(label)) {
+                this.app.labels.push(label);
+                added.push(label);
+            }
+        });
+        return added;
+    }
+
+    // Adds imported annotations (Map of image path -> annotation list) to the project
+    applyImportedAnnotations(importedAnnotations) {
+        let annotationCount = 0;
+
+        importedAnnotations.forEach((annotations, imagePath) => {
+            if (annotations.length === 0) return;
+
+            if (!this.app.annotations[imagePath]) {
+                this.app.annotations[imagePath] = [];
+            }
+
+            annotations.forEach(annotation => {
+                annotation.color = this.app.getLabelColor(annotation.label);
+                annotation.timestamp = Date.now() + Math.random();
+                this.app.annotations[imagePath].push(annotation);
+                annotationCount++;
+            });
+        });
+
+        // Refresh everything that depends on labels/annotations
+        this.app.uiManager.renderLabels();
+        this.app.uiManager.updateLabelStats();
+        this.app.uiManager.renderImageList();
+        this.app.updateUI();
+        this.app.redrawCanvas();
+        this.app.projectManager.recordChange();
+
+        return annotationCount;
+    }
+
+    showSummary(format, summary) {
+        const parts = [`${summary.annotationCount} annotations imported for ${summary.imageCount} images`];
+
+        if (summary.addedLabels && summary.addedLabels.length > 0) {
+            parts.push(`${summary.addedLabels.length} new labels`);
+        }
+        if (summary.unmatchedFiles && summary.unmatchedFiles.length > 0) {
+            parts.push(`${summary.unmatchedFiles.length} files without a matching image`);
+        }
+        if (summary.unmatchedImages && summary.unmatchedImages.length > 0) {
+            parts.push(`${summary.unmatchedImages.length} images not found in this folder`);
+        }
+        if (summary.missingImages && summary.missingImages.length > 0) {
+            parts.push(`${summary.missingImages.length} images could not be relinked`);
+        }
+        if (summary.unmatchedCategories && summary.unmatchedCategories.length > 0) {
+            parts.push(`${summary.unmatchedCategories.length} unknown category ids skipped`);
+        }
+
+        console.log(`✅ ${format.toUpperCase()} import summary:`, summary);
+        NotificationManager.success(parts.join(', '));
+    }
+
+    // ========== TAGIFLY JSON (OPEN ANNOTATIONS) ==========
+    // Re-opens a file written by ExportManager.exportToJSON() as the current project
+    async openTagiFLYJSON() {
+        const result = await ipcRenderer.invoke('open-annotations-file');
+        if (!result) return null;
+        if (!result.success) {
+            throw new Error(result.error || 'Could not open annotations file');
+        }
+
+        const project = this.convertTagiFLYExportToProject(result.document, result.pathMap, result.folderPath);
+        await this.app.uiManager.openFolder({
+            folderPath: result.folderPath,
+            imageFiles: result.imageFiles,
+            project: project
+        });
+
+        // The opened document replaces the folder's project file
+        this.app.projectManager.recordChange();
+
+        const annotationCount = Object.values(project.annotations).reduce((sum, list) => sum + list.length, 0);
+        return {
+            annotationCount,
+            imageCount: Object.keys(project.annotations).length,
+            missingImages: result.missing
+        };
+    }
+
+    // Export document (absolute paths) -> project file layout (paths relative to the folder,
+    // see ProjectManager)
+    convertTagiFLYExportToProject(document, pathMap, folderPath) {
+        const imageKey = filePath => ProjectManager.toImageKey(folderPath, filePath);
+        const images = {};
+        const annotations = {};
+        const imageTags = {};
+
+        document.images.forEach(image => {
+            const newPath = pathMap[image.path];
+            if (newPath && image.width && image.height) {
+                images[imageKey(newPath)] = { width: image.width, height: image.height };
+            }
+        });
+
+        Object.entries(document.annotations).forEach(([originalPath, imageAnnotations]) => {
+            const newPath = pathMap[originalPath];
+            if (newPath && Array.isArray(imageAnnotations) && imageAnnotations.length > 0) {
+                annotations[imageKey(newPath)] = imageAnnotations;
+            }
+        });
+
+        // Exports made before image tags and label ids were saved have neither
+        Object.entries(document.imageTags || {}).forEach(([originalPath, tags]) => {
+            const newPath = pathMap[originalPath];
+            if (newPath && Array.isArray(tags) && tags.length > 0) {
+                imageTags[imageKey(newPath)] = tags;
+            }
+        });
+
+        return {
+            labels: document.labels,
+            labelColors: document.labelColors,
+            labelIds: document.labelIds,
+            imageKeys: 'relativePath',
+            images: images,
+            annotations: annotations,
+            imageTags: imageTags
+        };
+    }
+
+    // ========== LABELME IMPORT ==========
+    async importFromLabelMe() {
+        const source = await this.readSource({
+            title: 'Select LabelMe annotations folder',
+            directory: true,
+            extensions: ['json']
+        });
+        if (!source) return null;
+
+        const imageIndex = this.buildImageIndex();
+        const importedAnnotations = new Map();
+        const unmatchedFiles = [];
+        const usedLabels = [];
+        let skippedShapes = 0;
+
+        source.files.forEach(file => {
+            let labelMe;
+            try {
+                labelMe = JSON.parse(file.content);
+            } catch (error) {
+                labelMe = null;
+            }
+            if (!labelMe || !Array.isArray(labelMe.shapes)) {
+                unmatchedFiles.push(file.relativePath);
+                return;
+            }
+
+            // imagePath is relative to the JSON; the JSON's own name is the usual fallback
+            const image = (labelMe.imagePath && this.findImage(imageIndex, labelMe.imagePath))
+                || imageIndex.get(ImageUtils.baseName(file.name));
+            if (!image) {
+                unmatchedFiles.push(file.relativePath);
+                return;
+            }
+
+            const annotations = [];
+            labelMe.shapes.forEach(shape => {
+                const annotation = this.convertFromLabelMeShape(shape);
+                if (annotation) {
+                    usedLabels.push(annotation.label);
+                    annotations.push(annotation);
+                } else {
+                    skippedShapes++;
+                }
+            });
+            importedAnnotations.set(image.path, (importedAnnotations.get(image.path) || []).concat(annotations));
+        });
+
+        if (skippedShapes > 0) {
+            console.log(`⚠️ LabelMe import skipped ${skippedShapes} unsupported shapes`);
+        }
+
+        const addedLabels = this.mergeLabels(usedLabels);
+        const annotationCount = this.applyImportedAnnotations(importedAnnotations);
+
+        return {
+            annotationCount,
+            imageCount: importedAnnotations.size,
+            addedLabels,
+            unmatchedFiles
+        };
+    }
+
+    // Inverse of ExportManager.convertToLabelMeFormat() - null for shapes TagiFLY can't draw
+    convertFromLabelMeShape(shape) {
+        const points = (shape.points || [])
+            .filter(point => Array.isArray(point) && point.length >= 2)
+            .map(([x, y]) => ({ x: Number(x), y: Number(y) }));
+        const label = shape.label || 'unlabeled';
+
+        switch (shape.shape_type || 'polygon') { // old LabelMe files omit shape_type for polygons
+            case 'rectangle':
+                if (points.length < 2) return null;
+                return {
+                    type: 'boundingbox',
+                    x: Math.min(points[0].x, points[1].x),
+                    y: Math.min(points[0].y, points[1].y),
+                    width: Math.abs(points[1].x - points[0].x),
+                    height: Math.abs(points[1].y - points[0].y),
+                    label: label
+                };
+
+            case 'point':
+                if (points.length < 1) return null;
+                return { type: 'point', x: points[0].x, y: points[0].y, label: label };
+
+            case 'polygon':
+                if (points.length < 3) return null;
+                return { type: 'polygon', points: points, label: label };
+
+            case 'line':
+            case 'linestrip':
+                if (points.length < 2) return null;
+                return { type: 'polyline', points: points, label: label };
+
+            default:
+                return null; // circle, mask, ...
+        }
+    }
+
+    // ========== YOLO IMPORT ==========
+    async importFromYOLO() {
+        const source = await this.readSource({
+            title: 'Select YOLO dataset folder',
+            directory: true,
+            extensions: ['txt', 'yaml', 'yml']
+        });
+        if (!source) return null;
+
+        const classNames = this.parseYOLOClassNames(source.files);
+        if (classNames.length === 0) {
+            throw new Error('No classes.txt or data.yaml names list found');
+        }
+
+        // Pose datasets declare kpt_shape - their lines must not be read as polygons
+        const yamlFile = this.findYOLODataYAML(source.files);
+        const isPose = yamlFile ? /^kpt_shape\s*:/m.test(yamlFile.content) : false;
+
+        const imageIndex = this.buildImageIndex();
+        const importedAnnotations = new Map();
+        const unmatchedFiles = [];
+        const usedLabels = new Set();
+
+        for (const file of source.files) {
+            if (!file.name.endsWith('.txt') || file.name === 'classes.txt') continue;
+
+            const image = imageIndex.get(ImageUtils.baseName(file.name));
+            if (!image) {
+                unmatchedFiles.push(file.relativePath);
+                continue;
+            }
+
+            const { width, height } = await ImageUtils.ensureSize(image);
+            const annotations = this.parseYOLOLabelFile(file.content, classNames, width, height, isPose);
+
+            annotations.forEach(annotation => usedLabels.add(annotation.label));
+            importedAnnotations.set(image.path, annotations);
+        }
+
+        const addedLabels = this.mergeLabels([...classNames, ...usedLabels]);
+        const annotationCount = this.applyImportedAnnotations(importedAnnotations);
+
+        return {
+            annotationCount,
+            imageCount: importedAnnotations.size,
+            addedLabels,
+            unmatchedFiles
+        };
+    }
+
+    parseYOLOClassNames(files) {
+        const classesFile = files.find(file => file.name === 'classes.txt');
+        if (classesFile) {
+            return classesFile.content.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+        }
+
+        const yamlFile = this.findYOLODataYAML(files);
+        return yamlFile ? this.parseYAMLNames(yamlFile.content) : [];
+    }
+
+    findYOLODataYAML(files) {
+        return files.find(file => /^data\.ya?ml$/i.test(file.name))
+            || files.find(file => /\.ya?ml$/i.test(file.name));
+    }
+
+    // Minimal reader for the `names:` key of a YOLO data.yaml - supports
+    // inline lists, block lists and `index: name` maps
+    parseYAMLNames(content) {
+        const lines = content.split(/\r?\n/);
+        const names = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].match(/^names\s*:\s*(.*)$/);
+            if (!match) continue;
+
+            const inline = match[1].trim();
+            if (inline.startsWith('[')) {
+                return inline.replace(/\s+#.*$/, '').replace(/^\[|\]$/g, '').split(',')
+                    .map(value => this.parseYAMLScalar(value)).filter(name => name !== '');
+            }
+
+            for (let j = i + 1; j < lines.length; j++) {
+                const line = lines[j];
+                if (line.trim() === '' || line.trim().startsWith('#')) continue;
+                if (!/^[\s-]/.test(line)) break; // next top-level key
+
+                const listItem = line.match(/^\s*-\s*(.+)$/);
+                const mapItem = line.match(/^\s*(\d+)\s*:\s*(.+)$/);
+                if (listItem) {
+                    names.push(this.parseYAMLScalar(listItem[1]));
+                } else if (mapItem) {
+                    names[parseInt(mapItem[1], 10)] = this.parseYAMLScalar(mapItem[2]);
+                }
+            }
+            break;
+        }
+
+        return Array.from(names, (name, index) => name || `class_${index}`);
+    }
+
+    // Double-quoted scalars use JSON-compatible escapes (as the exporter writes them),
+    // single-quoted ones double their quotes; plain scalars end at a ` #` comment
+    parseYAMLScalar(value) {
+        const text = value.trim();
+        const doubleQuoted = text.match(/^"((?:[^"\\]|\\.)*)"/);
+        if (doubleQuoted) {
+            try {
+                return JSON.parse(`"${doubleQuoted[1]}"`);
+            } catch (error) {
+                return doubleQuoted[1];
+            }
+        }
+        const singleQuoted = text.match(/^'((?:[^']|'')*)'/);
+        if (singleQuoted) return singleQuoted[1].replace(/''/g, "'");
+        return text.replace(/\s+#.*$/, '').trim();
+    }
+
+    // The line format is decided once per file: pose datasets (isPose) always start with a
+    // box; otherwise any line longer than `class cx cy w h` makes it a segmentation file
+    parseYOLOLabelFile(content, classNames, imageWidth, imageHeight, isPose = false) {
+        const annotations = [];
+        const rows = content.split(/\r?\n/)
+            .map(line => line.trim().split(/\s+/).map(Number))
+            .filter(values => values.length >= 5 && !values.some(isNaN));
+        const isSegmentation = !isPose && rows.some(values => values.length !== 5);
+
+        rows.forEach(values => {
+            const classIndex = values[0];
+            const label = classNames[classIndex] || `class_${classIndex}`;
+            let minX, minY, maxX, maxY;
+
+            if (isSegmentation && values.length !== 5) {
+                if (values.length < 7 || values.length % 2 === 0) return; // not a polygon
+                // Segmentation line (class x1 y1 x2 y2 ...) - use its extent as the box
+                const xs = values.slice(1).filter((_, i) => i % 2 === 0);
+                const ys = values.slice(1).filter((_, i) => i % 2 === 1);
+                minX = Math.min(...xs);
+                maxX = Math.max(...xs);
+                minY = Math.min(...ys);
+                maxY = Math.max(...ys);
+            } else {
+                const [, centerX, centerY, width, height] = values;
+                minX = centerX - width / 2;
+                maxX = centerX + width / 2;
+                minY = centerY - height / 2;
+                maxY = centerY + height / 2;
+            }
+
+            annotations.push({
+                type: 'boundingbox',
+                x: minX * imageWidth,
+                y: minY * imageHeight,
+                width: (maxX - minX) * imageWidth,
+                height: (maxY - minY) * imageHeight,
+                label: label
+            });
+        });
+
+        return annotations;
+    }
+
+    // ========== COCO IMPORT ==========
+    async importFromCOCO() {
+        const source = await this.readSource({
+            title: 'Select COCO instances JSON',
+            directory: false,
+            extensions: ['json']
+        });
+        if (!source) return null;
+
+        const coco = JSON.parse(source.files[0].content);
+        if (!Array.isArray(coco.images) || !Array.isArray(coco.annotations) || !Array.isArray(coco.categories)) {
+            throw new Error('Not a COCO file (images, annotations and categories are required)');
+        }
+
+        const categories = new Map(coco.categories.map(category => [category.id, category]));
+        const imageIndex = this.buildImageIndex();
+        const imagesById = new Map();
+        const unmatchedImages = [];
+
+        coco.images.forEach(cocoImage => {
+            const image = this.findImage(imageIndex, cocoImage.file_name);
+            if (image) {
+                imagesById.set(cocoImage.id, image);
+            } else {
+                unmatchedImages.push(cocoImage.file_name);
+            }
+        });
+
+        const importedAnnotations = new Map();
+        const unmatchedCategories = new Set();
+
+        coco.annotations.forEach(cocoAnnotation => {
+            const image = imagesById.get(cocoAnnotation.image_id);
+            if (!image) return; // already reported with its image
+
+            const category = categories.get(cocoAnnotation.category_id);
+            if (!category) {
+                unmatchedCategories.add(cocoAnnotation.category_id);
+                return;
+            }
+
+            if (!importedAnnotations.has(image.path)) {
+                importedAnnotations.set(image.path, []);
+            }
+            importedAnnotations.get(image.path).push(...this.convertFromCOCOAnnotation(cocoAnnotation, category));
+        });
+
+        const addedLabels = this.mergeLabels(coco.categories.map(category => category.name));
+        const annotationCount = this.applyImportedAnnotations(importedAnnotations);
+
+        return {
+            annotationCount,
+            imageCount: importedAnnotations.size,
+            addedLabels,
+            unmatchedImages,
+            unmatchedCategories: [...unmatchedCategories]
+        };
+    }
+
+    convertFromCOCOAnnotation(cocoAnnotation, category) {
+        const label = category.name;
+
+        // Keypoints take precedence - a person with keypoints becomes a pose
+        const keypoints = cocoAnnotation.keypoints || [];
+        if (keypoints.length >= 3 && keypoints.some((value, i) => i % 3 === 2 && value > 0)) {
+            return [this.createPoseFromCOCO(keypoints, category)];
+        }
+
+        // Polygon segmentation - one TagiFLY polygon per ring (RLE masks fall back to the bbox)
+        const segmentation = cocoAnnotation.segmentation;
+        if (Array.isArray(segmentation) && segmentation.length > 0) {
+            const polygons = segmentation
+                .filter(ring => Array.isArray(ring) && ring.length >= 6)
+                .map(ring => ({
+                    type: 'polygon',
+                    points: Array.from({ length: Math.floor(ring.length / 2) }, (_, i) => ({
+                        x: ring[i * 2],
+                        y: ring[i * 2 + 1]
+                    })),
+                    label: label
+                }));
+            if (polygons.length > 0) return polygons;
+        }
+
+        if (Array.isArray(cocoAnnotation.bbox) && cocoAnnotation.bbox.length === 4) {
+            const [x, y, width, height] = cocoAnnotation.bbox;
+            return [{ type: 'boundingbox', x, y, width, height, label }];
+        }
+
+        return [];
+    }
+
+    // COCO (x, y, v) triplets -> pose annotation in the order of the matching keypoint template
+    createPoseFromCOCO(keypoints, category) {
+        const keypointCount = Math.floor(keypoints.length / 3);
+        const cocoNames = Array.isArray(category.keypoints) ? category.keypoints : [];
+        const template = this.findKeypointTemplate(category, keypointCount);
+
+        const names = template ? template.points : Array.from({ length: keypointCount }, (_, i) => cocoNames[i] || `keypoint_${i + 1}`);
+        const connections = template
+            ? template.connections
+            : (category.skeleton || []).map(([start, end]) => [start - 1, end - 1]); // COCO skeleton is 1-based
+
+        const poseKeypoints = names.map((name, index) => {
+            // Follow the category's own keypoint names when they are given, position otherwise
+            const sourceIndex = cocoNames.length > 0 ? cocoNames.indexOf(name) : index;
+            const hasSource = sourceIndex > -1 && sourceIndex < keypointCount;
+
+            return {
+                x: hasSource ? keypoints[sourceIndex * 3] : 0,
+                y: hasSource ? keypoints[sourceIndex * 3 + 1] : 0,
+                name: name,
+                index: index,
+                visibility: hasSource ? keypoints[sourceIndex * 3 + 2] : 0
+            };
+        });
+
+        return {
+            type: 'pose',
+            keypoints: poseKeypoints,
+            template: template ? template.name : `${category.name} (${keypointCount} points)`,
+            label: category.name,
+            connections: connections
+        };
+    }
+
+    findKeypointTemplate(category, keypointCount) {
+        if (CONFIG.KEYPOINT_TEMPLATES[category.name]) {
+            return CONFIG.KEYPOINT_TEMPLATES[category.name];
+        }
+
+        return Object.values(CONFIG.KEYPOINT_TEMPLATES).find(template => template.points.length === keypointCount) || null;
+    }
+
+    // ========== PASCAL VOC IMPORT ==========
+    async importFromPascalVOC(fromArchive) {
+        const source = await this.readSource({
+            title: fromArchive ? 'Select Pascal VOC zip' : 'Select Pascal VOC annotations folder',
+            directory: !fromArchive,
+            archive: fromArchive,
+            extensions: ['xml']
+        });
+        if (!source) return null;
+
+        const imageIndex = this.buildImageIndex();
+        const importedAnnotations = new Map();
+        const unmatchedFiles = [];
+        const usedLabels = [];
+
+        source.files.forEach(file => {
+            const voc = this.parsePascalVOCXML(file.content);
+            if (!voc) {
+                unmatchedFiles.push(file.relativePath);
+                return;
+            }
+
+            // <filename> is authoritative; the XML's own name is the usual fallback
+            const image = (voc.filename && this.findImage(imageIndex, voc.filename))
+                || imageIndex.get(ImageUtils.baseName(file.name));
+            if (!image) {
+                unmatchedFiles.push(file.relativePath);
+                return;
+            }
+
+            voc.objects.forEach(annotation => usedLabels.push(annotation.label));
+            importedAnnotations.set(image.path, (importedAnnotations.get(image.path) || []).concat(voc.objects));
+        });
+
+        const addedLabels = this.mergeLabels(usedLabels);
+        const annotationCount = this.applyImportedAnnotations(importedAnnotations);
+
+        return {
+            annotationCount,
+            imageCount: importedAnnotations.size,
+            addedLabels,
+            unmatchedFiles
+        };
+    }
+
+    // Inverse of ExportManager.convertToPascalVOCFormat() - returns null for non-VOC XML
+    parsePascalVOCXML(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const root = doc.documentElement;
+        if (!root || root.nodeName !== 'annotation' || doc.getElementsByTagName('parsererror').length > 0) {
+            return null;
+        }
+
+        const childText = (element, tagName) => {
+            const child = Array.from(element.children).find(node => node.nodeName === tagName);
+            return child ? child.textContent.trim() : null;
+        };
+
+        const objects = Array.from(root.children)
+            .filter(node => node.nodeName === 'object')
+            .map(object => {
+                const bndbox = Array.from(object.children).find(node => node.nodeName === 'bndbox');
+                if (!bndbox) return null;
+
+                const xmin = parseFloat(childText(bndbox, 'xmin'));
+                const ymin = parseFloat(childText(bndbox, 'ymin'));
+                const xmax = parseFloat(childText(bndbox, 'xmax'));
+                const ymax = parseFloat(childText(bndbox, 'ymax'));
+                if ([xmin, ymin, xmax, ymax].some(isNaN)) return null;
+
+                return {
+                    type: 'boundingbox',
+                    x: xmin,
+                    y: ymin,
+                    width: xmax - xmin,
+                    height: ymax - ymin,
+                    label: childText(object, 'name') || 'unlabeled',
+                    attributes: {
+                        pose: childText(object, 'pose') || 'Unspecified',
+                        truncated: parseInt(childText(object, 'truncated'), 10) || 0,
+                        difficult: parseInt(childText(object, 'difficult'), 10) || 0
+                    }
+                };
+            })
+            .filter(annotation => annotation !== null);
+
+        return {
+            filename: childText(root, 'filename'),
+            objects: objects
+        };
+    }
+
+    // ========== CVAT IMPORT ==========
+    async importFromCVAT() {
+        const source = await this.readSource({
+            title: 'Select CVAT for images 1.1 annotations.xml',
+            directory: false,
+            extensions: ['xml']
+        });
+        if (!source) return null;
+
+        const cvat = this.parseCVATXML(source.files[0].content);
+        if (!cvat) {
+            throw new Error('Not a CVAT for images XML file');
+        }
+
+        const imageIndex = this.buildImageIndex();
+        const importedAnnotations = new Map();
+        const unmatchedImages = [];
+        const usedLabels = [];
+
+        cvat.images.forEach(cvatImage => {
+            const image = this.findImage(imageIndex, cvatImage.name);
+            if (!image) {
+                unmatchedImages.push(cvatImage.name);
+                return;
+            }
+
+            cvatImage.annotations.forEach(annotation => usedLabels.push(annotation.label));
+            importedAnnotations.set(image.path, (importedAnnotations.get(image.path) || []).concat(cvatImage.annotations));
+        });
+
+        const addedLabels = this.mergeLabels([...cvat.labels, ...usedLabels]);
+        const annotationCount = this.applyImportedAnnotations(importedAnnotations);
+
+        return {
+            annotationCount,
+            imageCount: importedAnnotations.size,
+            addedLabels,
+            unmatchedImages
+        };
+    }
+
+    // Inverse of ExportManager.exportToCVAT() - returns null for other XML
+    parseCVATXML(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const root = doc.documentElement;
+        if (!root || root.nodeName !== 'annotations' || doc.getElementsByTagName('parsererror').length > 0) {
+            return null;
+        }
+
+        const childText = (element, tagName) => {
+            const child = Array.from(element.children).find(node => node.nodeName === tagName);
+            return child ? child.textContent.trim() : null;
+        };
+
+        // Top-level labels; skeleton keypoints are sub-labels pointing at their <parent>
+        const labelElements = Array.from(doc.getElementsByTagName('label'))
+            .filter(element => element.parentNode && element.parentNode.nodeName === 'labels');
+        const labels = [];
+        const skeletons = new Map();
+
+        labelElements.forEach(element => {
+            const name = childText(element, 'name');
+            if (!name || childText(element, 'parent')) return;
+
+            labels.push(name);
+            if (childText(element, 'type') === 'skeleton') {
+                const keypoints = labelElements
+                    .filter(child => childText(child, 'parent') === name)
+                    .map(child => childText(child, 'name'));
+                skeletons.set(name, {
+                    name: name,
+                    keypoints: keypoints,
+                    skeleton: this.parseCVATSkeletonEdges(childText(element, 'svg') || '', keypoints)
+                });
+            }
+        });
+
+        const images = Array.from(root.children)
+            .filter(node => node.nodeName === 'image')
+            .map(element => ({
+                name: element.getAttribute('name'),
+                annotations: Array.from(element.children).flatMap(child => this.convertFromCVATShape(child, skeletons))
+            }));
+
+        return { labels, images };
+    }
+
+    // <svg> edges reference node ids; returned as 1-based keypoint index pairs (COCO style)
+    parseCVATSkeletonEdges(svg, keypoints) {
+        const attribute = (tag, name) => {
+            const match = tag.match(new RegExp(`${name}="([^"]*)"`));
+            return match ? match[1] : null;
+        };
+
+        const nodeNames = new Map();
+        (svg.match(/<circle[^>]*>/g) || []).forEach(tag => {
+            nodeNames.set(attribute(tag, 'data-node-id'), attribute(tag, 'data-label-name'));
+        });
+
+        return (svg.match(/<line[^>]*>/g) || [])
+            .map(tag => [
+                keypoints.indexOf(nodeNames.get(attribute(tag, 'data-node-from'))) + 1,
+                keypoints.indexOf(nodeNames.get(attribute(tag, 'data-node-to'))) + 1
+            ])
+            .filter(([start, end]) => start > 0 && end > 0);
+    }
+
+    // One CVAT shape element -> TagiFLY annotations (a <points> shape may hold several points)
+    convertFromCVATShape(element, skeletons) {
+        const label = element.getAttribute('label') || 'unlabeled';
+        const number = name => parseFloat(element.getAttribute(name));
+        const parsePoints = value => (value || '').split(';')
+            .map(pair => pair.split(',').map(Number))
+            .filter(([x, y]) => !isNaN(x) && !isNaN(y))
+            .map(([x, y]) => ({ x, y }));
+
+        let annotations;
+        switch (element.nodeName) {
+            case 'box': {
+                const [xtl, ytl, xbr, ybr] = ['xtl', 'ytl', 'xbr', 'ybr'].map(number);
+                if ([xtl, ytl, xbr, ybr].some(isNaN)) return [];
+                annotations = [{ type: 'boundingbox', x: xtl, y: ytl, width: xbr - xtl, height: ybr - ytl, label: label }];
+
+                // CVAT rotation is degrees clockwise around the box centre, as in TagiFLY
+                const rotation = number('rotation');
+                if (rotation) annotations[0].rotation = rotation;
+                break;
+            }
+
+            case 'polygon':
+            case 'polyline': {
+                const points = parsePoints(element.getAttribute('points'));
+                if (points.length < (element.nodeName === 'polygon' ? 3 : 2)) return [];
+                annotations = [{ type: element.nodeName, points: points, label: label }];
+                break;
+            }
+
+            case 'points':
+                annotations = parsePoints(element.getAttribute('points')).map(point => ({ type: 'point', x: point.x, y: point.y, label: label }));
+                break;
+
+            case 'skeleton': {
+                const nodes = Array.from(element.children).filter(node => node.nodeName === 'points');
+                const category = skeletons.get(label) || { name: label, keypoints: nodes.map(node => node.getAttribute('label')), skeleton: [] };
+
+                // Flat COCO-style [x, y, v] so the COCO pose builder can map names onto a template
+                const keypoints = category.keypoints.flatMap(name => {
+                    const node = nodes.find(candidate => candidate.getAttribute('label') === name);
+                    const point = node ? parsePoints(node.getAttribute('points'))[0] : null;
+                    if (!point || node.getAttribute('outside') === '1') return [0, 0, 0];
+                    return [point.x, point.y, node.getAttribute('occluded') === '1' ? 1 : 2];
+                });
+                annotations = keypoints.some((value, i) => i % 3 === 2 && value > 0)
+                    ? [this.createPoseFromCOCO(keypoints, category)]
+                    : [];
+                break;
+            }
+
+            default:
+                return []; // <mask>, <ellipse>, <cuboid>, <tag> ...
+        }
+
+        // Per-shape <attribute> children are kept and written back by the CVAT/VOC exporters
+        const attributes = {};
+        Array.from(element.children)
+            .filter(node => node.nodeName === 'attribute')
+            .forEach(node => {
+                attributes[node.getAttribute('name')] = node.textContent.trim();
+            });
+        if (Object.keys(attributes).length > 0) {
+            annotations.forEach(annotation => {
+                annotation.attributes = { ...attributes };
+            });
+        }
+
+        return annotations;
+    }
+}
@@ -0,0 +1,109 @@
+// TagiFLY PNG Encoder Module
+// Lossless single-channel PNGs (grayscale 8/16-bit, palette-indexed) for exported masks
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const COLOR_TYPE_GRAYSCALE = 0;
+const COLOR_TYPE_PALETTE = 3;
+
+let crcTable = null;
+
+export class PNGEncoder {
+    // values: one entry per pixel, row-major. 16-bit is picked automatically when a value exceeds 255.
+    static encodeGrayscale(values, width, height, bitDepth = null) {
+        const depth = bitDepth || (this.maxValue(values) > 255 ? 16 : 8);
+        return this.encode(values, width, height, depth, COLOR_TYPE_GRAYSCALE);
+    }
+
+    // indices: palette index per pixel; palette: [[r, g, b], ...] (at most 256 entries)
+    static encodePalette(indices, width, height, palette) {
+        const plte = new Uint8Array(palette.length * 3);
+        palette.forEach(([r, g, b], i) => plte.set([r, g, b], i * 3));
+        return this.encode(indices, width, height, 8, COLOR_TYPE_PALETTE, plte);
+    }
+
+    // ========== ENCODING ==========
+    static encode(values, width, height, bitDepth, colorType, palette = null) {
+        const bytesPerPixel = bitDepth / 8;
+        const stride = width * bytesPerPixel + 1; // +1 filter byte per row
+        const raw = new Uint8Array(stride * height);
+
+        for (let row = 0; row < height; row++) {
+            let offset = row * stride + 1; // filter type 0 (none)
+            for (let col = 0; col < width; col++) {
+                const value = values[row * width + col];
+                if (bitDepth === 16) {
+                    raw[offset++] = (value >> 8) & 0xFF; // PNG is big-endian
+                }
+                raw[offset++] = value & 0xFF;
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = bitDepth;
+        header[9] = colorType;
+        // compression, filter and interlace methods stay 0
+
+        const chunks = [this.chunk('IHDR', header)];
+        if (palette) {
+            chunks.push(this.chunk('PLTE', palette));
+        }
+        chunks.push(this.chunk('IDAT', new Uint8Array(zlib.deflateSync(raw))));
+        chunks.push(this.chunk('IEND', new Uint8Array(0)));
+
+        return this.concat([new Uint8Array(PNG_SIGNATURE), ...chunks]);
+    }
+
+    static chunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(data.length + 8, this.crc32(chunk.subarray(4, data.length + 8)));
+        return chunk;
+    }
+
+    static crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static maxValue(values) {
+        let max = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] > max) max = values[i];
+        }
+        return max;
+    }
+
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
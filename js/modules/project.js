@@ -0,0 +1,207 @@
+// TagiFLY Project Persistence Module
+// Per-folder project file (.tagifly/project.json) autosave & restore, crash journal
+
+import { CONFIG } from './config.js';
+import { NotificationManager } from './notification.js';
+const { ipcRenderer } = require('electron');
+const path = require('path');
+
+export class ProjectManager {
+    constructor(app) {
+        this.app = app;
+        this.saveTimer = null;
+        this.isSaving = false;
+        this.lastSaved = null;
+    }
+
+    // ========== AUTOSAVE ==========
+    scheduleSave() {
+        if (!this.app.folderPath) return;
+
+        // Debounce - many edits in a row produce a single write
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveNow();
+        }, CONFIG.PROJECT.AUTOSAVE_DELAY);
+    }
+
+    hasPendingSave() {
+        return this.saveTimer !== null;
+    }
+
+    async saveNow() {
+        if (!this.app.folderPath) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            this.isSaving = true;
+            const result = await ipcRenderer.invoke('save-project', this.app.folderPath, this.buildProjectData());
+
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown error');
+            }
+
+            // The user chose to keep a project file TagiFLY did not write
+            if (result.skipped) {
+                console.log('⚠️ Project save skipped - existing project file kept');
+                return;
+            }
+
+            this.lastSaved = new Date();
+            console.log(`💾 Project saved: ${result.path}`);
+        } catch (error) {
+            console.error('❌ Project save error:', error);
+            NotificationManager.error(`Autosave failed: ${error.message}`);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    // Synchronous save used while the window is closing - async IPC would be dropped.
+    // Always called so the main process can mark the session as cleanly closed.
+    flush() {
+        if (!this.app.folderPath) return;
+
+        const project = this.hasPendingSave() ? this.buildProjectData() : null;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            ipcRenderer.sendSync('flush-project', this.app.folderPath, project);
+            console.log('💾 Project flushed before close');
+        } catch (error) {
+            console.error('❌ Project flush error:', error);
+        }
+    }
+
+    // ========== CRASH JOURNAL ==========
+    // direction: 'do' for a new action, 'undo'/'redo' when the user steps through history
+    appendJournal(direction, entry) {
+        if (!this.app.folderPath) return;
+        ipcRenderer.send('journal-append', this.app.folderPath, { direction, entry });
+    }
+
+    // Imports and label, tag and label id edits bypass the undo history; they are journaled
+    // as a snapshot of the whole project so a crash before the debounced save keeps them
+    recordChange() {
+        if (!this.app.folderPath) return;
+        ipcRenderer.send('journal-append', this.app.folderPath, { direction: 'snapshot', project: this.buildProjectData() });
+        this.scheduleSave();
+    }
+
+    async checkRecovery() {
+        try {
+            const result = await ipcRenderer.invoke('check-recovery');
+            if (!result) return;
+
+            await this.app.uiManager.openFolder(result);
+            NotificationManager.success(`Recovered ${result.journal.length} unsaved change(s)`);
+        } catch (error) {
+            console.error('❌ Recovery error:', error);
+            NotificationManager.error('Could not recover unsaved work');
+        }
+    }
+
+    // ========== SERIALIZATION ==========
+    buildProjectData() {
+        const images = {};
+        const annotations = {};
+        const imageTags = {};
+
+        // Keys are paths relative to the folder so the project survives moving it
+        this.app.images.forEach(image => {
+            const key = this.getImageKey(image);
+
+            if (image.originalWidth && image.originalHeight) {
+                images[key] = {
+                    width: image.originalWidth,
+                    height: image.originalHeight
+                };
+            }
+
+            const imageAnnotations = this.app.annotations[image.path];
+            if (imageAnnotations && imageAnnotations.length > 0) {
+                annotations[key] = imageAnnotations;
+            }
+
+            const tags = this.app.imageTags[image.path];
+            if (tags && tags.length > 0) {
+                imageTags[key] = tags;
+            }
+        });
+
+        return {
+            version: '2.0.0',
+            tool: 'TagiFLY v2.0.0',
+            updated: new Date().toISOString(),
+            labels: this.app.labels,
+            labelColors: this.app.labelColors,
+            labelIds: this.app.labelIds,
+            imageKeys: 'relativePath',
+            images: images,
+            annotations: annotations,
+            imageTags: imageTags
+        };
+    }
+
+    // Forward slashes keep keys identical across platforms
+    getImageKey(image) {
+        return ProjectManager.toImageKey(this.app.folderPath, image.path);
+    }
+
+    static toImageKey(folderPath, imagePath) {
+        return path.relative(folderPath, imagePath).split(path.sep).join('/');
+    }
+
+    restoreProject(project) {
+        if (!project) return false;
+
+        if (Array.isArray(project.labels)) {
+            this.app.labels = [...project.labels];
+        }
+        if (project.labelColors) {
+            this.app.labelColors = { ...project.labelColors };
+        }
+        if (project.labelIds) {
+            this.app.labelIds = { ...project.labelIds };
+        }
+        if (this.app.selectedLabel && !this.app.labels.includes(this.app.selectedLabel)) {
+            this.app.selectedLabel = null;
+        }
+
+        const imageSizes = project.images || {};
+        const savedAnnotations = project.annotations || {};
+        const savedTags = project.imageTags || {};
+        let restoredCount = 0;
+
+        // Projects written before imageKeys existed are keyed by bare file name
+        const byRelativePath = project.imageKeys === 'relativePath';
+
+        this.app.images.forEach(image => {
+            const key = byRelativePath ? this.getImageKey(image) : image.name;
+
+            const size = imageSizes[key];
+            if (size) {
+                image.originalWidth = size.width;
+                image.originalHeight = size.height;
+            }
+
+            const imageAnnotations = savedAnnotations[key];
+            if (Array.isArray(imageAnnotations) && imageAnnotations.length > 0) {
+                this.app.annotations[image.path] = imageAnnotations;
+                restoredCount += imageAnnotations.length;
+            }
+
+            const tags = savedTags[key];
+            if (Array.isArray(tags) && tags.length > 0) {
+                this.app.imageTags[image.path] = [...tags];
+            }
+        });
+
+        console.log(`📂 Project restored: ${restoredCount} annotations, ${this.app.labels.length} labels`);
+        return true;
+    }
+}
@@ -0,0 +1,308 @@
+// TagiFLY Mask Rasterizer Module
+// Polygon & mask paint annotations -> binary pixel masks, and masks -> outer contours
+
+export class MaskRasterizer {
+    // ========== INSTANCE MASKS ==========
+    // Annotations that cover an area (polygon, non-erasing mask paint), each rasterised
+    // at native resolution. Erase strokes subtract from earlier mask paint of the same label.
+    static buildInstanceMasks(annotations, imageWidth, imageHeight) {
+        const instances = [];
+
+        annotations.forEach((annotation, index) => {
+            if (!this.isAreaAnnotation(annotation)) return;
+
+            const eraseStrokes = annotation.type !== 'maskpaint' ? [] : annotations.slice(index + 1).filter(other =>
+                other.type === 'maskpaint' && other.isErasing && other.label === annotation.label
+            );
+
+            const region = this.rasterizeAnnotation(annotation, imageWidth, imageHeight, eraseStrokes);
+            if (region && this.countPixels(region) > 0) {
+                instances.push({ annotation, region });
+            }
+        });
+
+        return instances;
+    }
+
+    static isAreaAnnotation(annotation) {
+        if (annotation.type === 'polygon') {
+            return annotation.points && annotation.points.length >= 3;
+        }
+        if (annotation.type === 'maskpaint') {
+            return !annotation.isErasing && annotation.points && annotation.points.length >= 1;
+        }
+        return false;
+    }
+
+    // Returns { data, left, top, width, height } - a mask cropped to the annotation's
+    // extent so large images do not need a full-size buffer per instance
+    static rasterizeAnnotation(annotation, imageWidth, imageHeight, eraseStrokes = []) {
+        const radius = annotation.type === 'maskpaint' ? (annotation.brushSize || 20) / 2 : 0;
+        const xs = annotation.points.map(p => p.x);
+        const ys = annotation.points.map(p => p.y);
+
+        const left = Math.max(0, Math.floor(Math.min(...xs) - radius));
+        const top = Math.max(0, Math.floor(Math.min(...ys) - radius));
+        const right = Math.min(imageWidth, Math.ceil(Math.max(...xs) + radius) + 1);
+        const bottom = Math.min(imageHeight, Math.ceil(Math.max(...ys) + radius) + 1);
+        if (right <= left || bottom <= top) return null;
+
+        const region = {
+            data: new Uint8Array((right - left) * (bottom - top)),
+            left: left,
+            top: top,
+            width: right - left,
+            height: bottom - top
+        };
+
+        if (annotation.type === 'polygon') {
+            this.fillPolygon(region, annotation.points, 1);
+        } else {
+            this.drawStroke(region, annotation.points, annotation.brushSize || 20, 1);
+        }
+
+        eraseStrokes.forEach(stroke => {
+            this.drawStroke(region, stroke.points, stroke.brushSize || 20, 0);
+        });
+
+        return region;
+    }
+
+    static countPixels(region) {
+        let count = 0;
+        for (let i = 0; i < region.data.length; i++) {
+            if (region.data[i]) count++;
+        }
+        return count;
+    }
+
+    // Paints instance regions into one full-size Uint16Array, later annotations on top.
+    // valueOf(instance, index) returns the pixel value, or 0 to leave the instance out.
+    static composeMasks(instances, imageWidth, imageHeight, valueOf) {
+        const mask = new Uint16Array(imageWidth * imageHeight);
+
+        instances.forEach((instance, index) => {
+            const value = valueOf(instance, index);
+            if (!value) return;
+
+            const { data, left, top, width, height } = instance.region;
+            for (let row = 0; row < height; row++) {
+                const offset = (top + row) * imageWidth + left;
+                for (let col = 0; col < width; col++) {
+                    if (data[row * width + col]) {
+                        mask[offset + col] = value;
+                    }
+                }
+            }
+        });
+
+        return mask;
+    }
+
+    // ========== PRIMITIVES ==========
+    // Even-odd scanline fill, sampling at pixel centres (no anti-aliasing - mask values stay exact)
+    static fillPolygon(region, points, value) {
+        const { data, left, top, width, height } = region;
+
+        for (let row = 0; row < height; row++) {
+            const y = top + row + 0.5;
+            const crossings = [];
+
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                if ((a.y <= y && b.y > y) || (b.y <= y && a.y > y)) {
+                    crossings.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+                }
+            }
+
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const start = Math.max(0, Math.ceil(crossings[i] - 0.5 - left));
+                const end = Math.min(width - 1, Math.floor(crossings[i + 1] - 0.5 - left));
+                for (let col = start; col <= end; col++) {
+                    data[row * width + col] = value;
+                }
+            }
+        }
+    }
+
+    // Round-capped brush stroke - every pixel within brushSize/2 of the path
+    static drawStroke(region, points, brushSize, value) {
+        const radius = brushSize / 2;
+        const segments = points.length === 1 ? [[points[0], points[0]]] : points.slice(1).map((p, i) => [points[i], p]);
+
+        segments.forEach(([a, b]) => {
+            const minCol = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius - region.left));
+            const maxCol = Math.min(region.width - 1, Math.ceil(Math.max(a.x, b.x) + radius - region.left));
+            const minRow = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius - region.top));
+            const maxRow = Math.min(region.height - 1, Math.ceil(Math.max(a.y, b.y) + radius - region.top));
+
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+
+            for (let row = minRow; row <= maxRow; row++) {
+                const py = region.top + row + 0.5;
+                for (let col = minCol; col <= maxCol; col++) {
+                    const px = region.left + col + 0.5;
+                    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared));
+                    const distX = px - (a.x + t * dx);
+                    const distY = py - (a.y + t * dy);
+                    if (distX * distX + distY * distY <= radius * radius) {
+                        region.data[row * region.width + col] = value;
+                    }
+                }
+            }
+        });
+    }
+
+    // ========== CONTOURS ==========
+    // Outer boundary of every 8-connected component (holes are ignored), in image
+    // coordinates at pixel centres, simplified with Douglas-Peucker
+    static traceOuterContours(region, tolerance = 1) {
+        const { data, width, height } = region;
+        const component = new Int32Array(width * height);
+        const contours = [];
+        let componentId = 0;
+
+        for (let start = 0; start < data.length; start++) {
+            if (!data[start] || component[start]) continue;
+
+            componentId++;
+            this.floodFill(region, component, start, componentId);
+
+            // First pixel in scan order - its west neighbour is always background
+            const contour = this.traceBoundary(region, start % width, Math.floor(start / width));
+            const points = contour.map(([col, row]) => ({
+                x: region.left + col + 0.5,
+                y: region.top + row + 0.5
+            }));
+
+            const simplified = this.simplifyClosed(points, tolerance);
+            if (simplified.length >= 3) {
+                contours.push(simplified);
+            }
+        }
+
+        return contours;
+    }
+
+    static floodFill(region, component, start, id) {
+        const { data, width, height } = region;
+        const stack = [start];
+        component[start] = id;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const col = index % width;
+            const row = Math.floor(index / width);
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = col + dx;
+                    const ny = row + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+                    const next = ny * width + nx;
+                    if (data[next] && !component[next]) {
+                        component[next] = id;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+    }
+
+    // Moore-neighbour tracing, clockwise, stops when the first step repeats
+    static traceBoundary(region, startX, startY) {
+        const { data, width, height } = region;
+        const dirs = [[-1, 0], [-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1]];
+        const isSet = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[y * width + x] !== 0;
+
+        const contour = [[startX, startY]];
+        let current = [startX, startY];
+        let backtrackDir = 0; // entered from the west
+        let firstStep = null;
+
+        for (let guard = 0; guard < data.length * 4; guard++) {
+            let found = -1;
+            for (let i = 1; i <= 8; i++) {
+                const dir = (backtrackDir + i) % 8;
+                if (isSet(current[0] + dirs[dir][0], current[1] + dirs[dir][1])) {
+                    found = dir;
+                    break;
+                }
+            }
+            if (found === -1) break; // isolated pixel
+
+            const next = [current[0] + dirs[found][0], current[1] + dirs[found][1]];
+            if (firstStep === null) {
+                firstStep = next;
+            } else if (current[0] === startX && current[1] === startY && next[0] === firstStep[0] && next[1] === firstStep[1]) {
+                break;
+            }
+
+            // New backtrack: the neighbour checked just before `found`, seen from `next`
+            const previousDir = (found + 7) % 8;
+            const backX = current[0] + dirs[previousDir][0] - next[0];
+            const backY = current[1] + dirs[previousDir][1] - next[1];
+            backtrackDir = dirs.findIndex(([dx, dy]) => dx === backX && dy === backY);
+
+            current = next;
+            if (!(current[0] === startX && current[1] === startY)) {
+                contour.push(current);
+            }
+        }
+
+        return contour;
+    }
+
+    static simplifyClosed(points, tolerance) {
+        if (points.length <= 3) return points;
+
+        // Split at the point farthest from the start so both halves are open polylines
+        let farthest = 0;
+        let maxDistance = -1;
+        points.forEach((p, i) => {
+            const distance = (p.x - points[0].x) ** 2 + (p.y - points[0].y) ** 2;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        });
+
+        const first = this.simplifyOpen(points.slice(0, farthest + 1), tolerance);
+        const second = this.simplifyOpen(points.slice(farthest).concat([points[0]]), tolerance);
+        return first.slice(0, -1).concat(second.slice(0, -1));
+    }
+
+    static simplifyOpen(points, tolerance) {
+        if (points.length <= 2) return points;
+
+        const a = points[0];
+        const b = points[points.length - 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+
+        let index = 0;
+        let maxDistance = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            const p = points[i];
+            const distance = length === 0
+                ? Math.sqrt((p.x - a.x) ** 2 + (p.y - a.y) ** 2)
+                : Math.abs(dy * p.x - dx * p.y + b.x * a.y - b.y * a.x) / length;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (maxDistance <= tolerance) return [a, b];
+
+        const left = this.simplifyOpen(points.slice(0, index + 1), tolerance);
+        const right = this.simplifyOpen(points.slice(index), tolerance);
+        return left.slice(0, -1).concat(right);
+    }
+}
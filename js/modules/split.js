@@ -0,0 +1,89 @@
+// TagiFLY Dataset Split Module
+// Seeded train/val/test assignment of images, optionally stratified by label
+
+const SPLIT_NAMES = ['train', 'val', 'test'];
+
+export class DatasetSplitter {
+    // ratios: { train, val, test } (any scale - normalised here)
+    // labelsOf(image) returns the labels annotated on an image, used for stratification
+    // Returns [{ name, images }] for every split with a ratio above zero, images in their original order
+    static split(images, { ratios, seed = 0, stratify = false, labelsOf = null }) {
+        const names = SPLIT_NAMES.filter(name => ratios[name] > 0);
+        const total = names.reduce((sum, name) => sum + ratios[name], 0);
+        if (total <= 0) {
+            throw new Error('Split ratios must add up to more than zero');
+        }
+
+        const random = this.createRandom(seed);
+        const assigned = new Map(names.map(name => [name, new Set()]));
+
+        this.groupImages(images, stratify ? labelsOf : null).forEach(group => {
+            const shuffled = this.shuffle(group, random);
+
+            // Cumulative rounding keeps every group's proportions close to the ratios
+            let start = 0;
+            let cumulative = 0;
+            names.forEach((name, index) => {
+                cumulative += ratios[name];
+                const end = index === names.length - 1
+                    ? shuffled.length
+                    : Math.round(shuffled.length * cumulative / total);
+                shuffled.slice(start, end).forEach(image => assigned.get(name).add(image));
+                start = end;
+            });
+        });
+
+        return names.map(name => ({
+            name: name,
+            images: images.filter(image => assigned.get(name).has(image))
+        }));
+    }
+
+    // One group per image's rarest label, so small classes still reach every split
+    static groupImages(images, labelsOf) {
+        if (!labelsOf) return [images];
+
+        const imageLabels = new Map(images.map(image => [image, [...new Set(labelsOf(image))]]));
+        const frequency = {};
+        imageLabels.forEach(labels => {
+            labels.forEach(label => {
+                frequency[label] = (frequency[label] || 0) + 1;
+            });
+        });
+
+        const groups = new Map();
+        images.forEach(image => {
+            const labels = imageLabels.get(image);
+            const key = labels.length === 0
+                ? null // unannotated images form their own group
+                : labels.reduce((rarest, label) => frequency[label] < frequency[rarest] ? label : rarest);
+
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(image);
+        });
+
+        return [...groups.values()];
+    }
+
+    // Fisher-Yates on a copy
+    static shuffle(items, random) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // mulberry32 - small deterministic PRNG, same seed gives the same split everywhere
+    static createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
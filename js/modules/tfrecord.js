@@ -0,0 +1,129 @@
+// TagiFLY TFRecord Module
+// tf.train.Example protobuf encoding and TFRecord framing (length + masked CRC32C),
+// written by hand so TensorFlow datasets can be exported without native dependencies
+
+const WIRE_LENGTH_DELIMITED = 2;
+const CRC32C_MASK_DELTA = 0xA282EAD8;
+
+const textEncoder = new TextEncoder();
+let crc32cTable = null;
+
+export class TFRecordEncoder {
+    // ========== FEATURES ==========
+    // Strings are stored UTF-8 encoded, Uint8Arrays as-is
+    static bytesFeature(values) {
+        return { kind: 'bytes', values: values.map(value => typeof value === 'string' ? textEncoder.encode(value) : value) };
+    }
+
+    static floatFeature(values) {
+        return { kind: 'float', values };
+    }
+
+    static int64Feature(values) {
+        return { kind: 'int64', values };
+    }
+
+    // ========== EXAMPLE ==========
+    // features: { 'image/height': int64Feature([480]), ... } -> serialized tf.train.Example
+    static encodeExample(features) {
+        // Features.feature is a map<string, Feature>: one entry message per key
+        const entries = Object.keys(features).map(key => this.field(1, this.concat([
+            this.field(1, textEncoder.encode(key)),
+            this.field(2, this.encodeFeature(features[key]))
+        ])));
+
+        // Example.features = 1
+        return this.field(1, this.concat(entries));
+    }
+
+    // Feature is a oneof: bytes_list = 1, float_list = 2, int64_list = 3
+    static encodeFeature(feature) {
+        switch (feature.kind) {
+            case 'bytes':
+                // BytesList.value is repeated bytes - one field per value
+                return this.field(1, this.concat(feature.values.map(value => this.field(1, value))));
+
+            case 'float':
+                // FloatList.value is packed little-endian float32
+                const floats = new Uint8Array(feature.values.length * 4);
+                const view = new DataView(floats.buffer);
+                feature.values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+                return this.field(2, this.field(1, floats));
+
+            case 'int64':
+                // Int64List.value is packed varints
+                return this.field(3, this.field(1, this.concat(feature.values.map(value => this.varint(value)))));
+
+            default:
+                throw new Error(`Unknown feature kind: ${feature.kind}`);
+        }
+    }
+
+    // ========== RECORD FRAMING ==========
+    // uint64 length, uint32 masked crc32c(length), data, uint32 masked crc32c(data)
+    static frameRecord(data) {
+        const header = new Uint8Array(12);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, data.length, true);
+        headerView.setUint32(4, Math.floor(data.length / 0x100000000), true);
+        headerView.setUint32(8, this.maskedCRC32C(header.subarray(0, 8)), true);
+
+        const footer = new Uint8Array(4);
+        new DataView(footer.buffer).setUint32(0, this.maskedCRC32C(data), true);
+
+        return this.concat([header, data, footer]);
+    }
+
+    static maskedCRC32C(bytes) {
+        const crc = this.crc32c(bytes);
+        return ((((crc >>> 15) | (crc << 17)) >>> 0) + CRC32C_MASK_DELTA) >>> 0;
+    }
+
+    // CRC-32C (Castagnoli), reflected polynomial 0x82F63B78
+    static crc32c(bytes) {
+        if (!crc32cTable) {
+            crc32cTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0x82F63B78 ^ (c >>> 1) : c >>> 1;
+                }
+                crc32cTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crc32cTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // ========== PROTOBUF WIRE FORMAT ==========
+    // Length-delimited field: tag, byte length, payload
+    static field(number, payload) {
+        return this.concat([this.varint(number << 3 | WIRE_LENGTH_DELIMITED), this.varint(payload.length), payload]);
+    }
+
+    // Non-negative integers only (labels, sizes) - plain arithmetic keeps values above 2^32 exact
+    static varint(value) {
+        const bytes = [];
+        let remaining = value;
+        while (remaining >= 0x80) {
+            bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        bytes.push(remaining);
+        return new Uint8Array(bytes);
+    }
+
+    static concat(parts) {
+        const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
@@ -0,0 +1,121 @@
+// TagiFLY Image Tiling Module
+// Tile grid layout and the clipping primitives used to cut annotations into tiles
+
+export class ImageTiler {
+    // Tiles of `size` px overlapping by `overlap` (0-1). The last row/column is aligned to the
+    // image edge so every tile is full size; images smaller than a tile give a single tile.
+    static getTiles(imageWidth, imageHeight, size, overlap) {
+        const positions = length => {
+            if (length <= size) return [0];
+
+            const step = Math.max(1, Math.round(size * (1 - overlap)));
+            const result = [];
+            for (let position = 0; position + size < length; position += step) {
+                result.push(position);
+            }
+            result.push(length - size);
+            return result;
+        };
+
+        const tiles = [];
+        positions(imageHeight).forEach(y => {
+            positions(imageWidth).forEach(x => {
+                tiles.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(size, imageWidth),
+                    height: Math.min(size, imageHeight)
+                });
+            });
+        });
+        return tiles;
+    }
+
+    // ========== CLIPPING ==========
+    // Sutherland-Hodgman against the rectangle [0, width] x [0, height]
+    static clipPolygon(points, width, height) {
+        const edges = [
+            { inside: p => p.x >= 0, cross: (a, b) => this.atX(a, b, 0) },
+            { inside: p => p.x <= width, cross: (a, b) => this.atX(a, b, width) },
+            { inside: p => p.y >= 0, cross: (a, b) => this.atY(a, b, 0) },
+            { inside: p => p.y <= height, cross: (a, b) => this.atY(a, b, height) }
+        ];
+
+        let result = points;
+        edges.forEach(edge => {
+            const input = result;
+            result = [];
+            input.forEach((current, index) => {
+                const previous = input[(index + input.length - 1) % input.length];
+                if (edge.inside(current)) {
+                    if (!edge.inside(previous)) result.push(edge.cross(previous, current));
+                    result.push(current);
+                } else if (edge.inside(previous)) {
+                    result.push(edge.cross(previous, current));
+                }
+            });
+        });
+        return result;
+    }
+
+    // Liang-Barsky: returns { start, end, t0, t1 } for the visible part of a segment, or null
+    static clipSegment(a, b, width, height) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        let t0 = 0;
+        let t1 = 1;
+
+        const checks = [[-dx, a.x], [dx, width - a.x], [-dy, a.y], [dy, height - a.y]];
+        for (const [p, q] of checks) {
+            if (p === 0) {
+                if (q < 0) return null; // parallel and outside
+                continue;
+            }
+            const t = q / p;
+            if (p < 0) {
+                if (t > t1) return null;
+                t0 = Math.max(t0, t);
+            } else {
+                if (t < t0) return null;
+                t1 = Math.min(t1, t);
+            }
+        }
+
+        return {
+            start: { x: a.x + t0 * dx, y: a.y + t0 * dy },
+            end: { x: a.x + t1 * dx, y: a.y + t1 * dy },
+            t0: t0,
+            t1: t1
+        };
+    }
+
+    static polygonArea(points) {
+        return Math.abs(this.signedArea(points));
+    }
+
+    // Positive when the points run clockwise on screen (y pointing down)
+    static signedArea(points) {
+        let area = 0;
+        points.forEach((p, i) => {
+            const next = points[(i + 1) % points.length];
+            area += p.x * next.y - next.x * p.y;
+        });
+        return area / 2;
+    }
+
+    static pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    static atX(a, b, x) {
+        return { x: x, y: a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x) };
+    }
+
+    static atY(a, b, y) {
+        return { x: a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y), y: y };
+    }
+}
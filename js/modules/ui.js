@@ -96,6 +96,46 @@ export class UIManager {
             });
         });
 
+        // Split settings are only editable while the split is enabled
+        const splitEnabled = document.getElementById('splitEnabled');
+        const splitSettings = document.getElementById('splitSettings');
+        if (splitEnabled && splitSettings) {
+            const updateSplitSettings = () => splitSettings.classList.toggle('disabled', !splitEnabled.checked);
+            splitEnabled.addEventListener('change', updateSplitSettings);
+            updateSplitSettings();
+        }
+
+        // Same for the tile settings
+        const tileEnabled = document.getElementById('tileEnabled');
+        const tileSettings = document.getElementById('tileSettings');
+        if (tileEnabled && tileSettings) {
+            const updateTileSettings = () => tileSettings.classList.toggle('disabled', !tileEnabled.checked);
+            tileEnabled.addEventListener('change', updateTileSettings);
+            updateTileSettings();
+        }
+
+        // Resize inputs follow the chosen mode; the height only applies to a fixed resize
+        const resizeMode = document.getElementById('resizeMode');
+        const resizeSize = document.getElementById('resizeSize');
+        const resizeHeight = document.getElementById('resizeHeight');
+        if (resizeMode && resizeSize && resizeHeight) {
+            const updateResizeSettings = () => {
+                resizeSize.disabled = resizeMode.value === 'none';
+                resizeHeight.disabled = resizeMode.value !== 'fixed';
+            };
+            resizeMode.addEventListener('change', updateResizeSettings);
+            updateResizeSettings();
+        }
+
+        // The existing-files policy only matters when writing into a folder
+        const outputMode = document.getElementById('exportOutputMode');
+        const existingFiles = document.getElementById('exportExistingFiles');
+        if (outputMode && existingFiles) {
+            const updateExistingFiles = () => { existingFiles.disabled = outputMode.value !== 'folder'; };
+            outputMode.addEventListener('change', updateExistingFiles);
+            updateExistingFiles();
+        }
+
         // Modal backdrop click to close
         if (exportModal) {
             exportModal.addEventListener('click', (e) => {
@@ -105,6 +145,40 @@ export class UIManager {
             });
         }
 
+        // Import System
+        const importBtn = document.getElementById('importData');
+        const importModal = document.getElementById('importModal');
+        const closeImportModal = document.getElementById('closeImportModal');
+        const cancelImport = document.getElementById('cancelImport');
+
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.app.openImportModal());
+        }
+
+        if (closeImportModal) {
+            closeImportModal.addEventListener('click', () => this.app.closeImportModal());
+        }
+
+        if (cancelImport) {
+            cancelImport.addEventListener('click', () => this.app.closeImportModal());
+        }
+
+        // Import format selection
+        document.querySelectorAll('.import-option').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const format = e.currentTarget.getAttribute('data-format');
+                this.app.importAnnotations(format);
+            });
+        });
+
+        if (importModal) {
+            importModal.addEventListener('click', (e) => {
+                if (e.target.classList.contains('modal-backdrop')) {
+                    this.app.closeImportModal();
+                }
+            });
+        }
+
         // Zoom Controls
         const zoomInBtn = document.getElementById('zoomIn');
         const zoomOutBtn = document.getElementById('zoomOut');
@@ -128,6 +202,10 @@ export class UIManager {
         if (undoBtn) undoBtn.addEventListener('click', () => this.app.historyManager.undo());
         if (redoBtn) redoBtn.addEventListener('click', () => this.app.historyManager.redo());
 
+        // Image-level tag for classification datasets
+        const tagImageBtn = document.getElementById('tagImageBtn');
+        if (tagImageBtn) tagImageBtn.addEventListener('click', () => this.toggleImageTag());
+
         console.log('✅ Event listeners setup complete');
     }
 
@@ -160,25 +238,7 @@ export class UIManager {
             console.log('📁 IPC result:', result);
 
             if (result) {
-                this.app.images = result.imageFiles.map(imagePath => ({
-                    path: imagePath,
-                    name: imagePath.split('/').pop() || imagePath.split('\\').pop(),
-                    url: `file://${imagePath}` // Use file:// prefix like old system
-                }));
-
-                this.app.currentImageIndex = 0;
-                this.app.annotations = {};
-
-                this.renderImageList();
-                this.updateUI();
-
-                if (this.app.images.length > 0) {
-                    // Use new professional system
-                    this.app.loadImage(this.app.images[0]);
-                }
-
-                NotificationManager.success(`${this.app.images.length} images loaded successfully`);
-                console.log(`✅ Loaded ${this.app.images.length} images`);
+                await this.openFolder(result);
             }
         } catch (error) {
             console.error('❌ Error selecting folder:', error);
@@ -186,6 +246,59 @@ export class UIManager {
         }
     }
 
+    // Loads a folder returned by the main process (select-folder or crash recovery)
+    async openFolder(result) {
+        // Persist the previous folder before its state is replaced
+        if (this.app.projectManager.hasPendingSave()) {
+            await this.app.projectManager.saveNow();
+        }
+
+        this.app.folderPath = result.folderPath;
+        this.app.images = result.imageFiles.map(imagePath => ({
+            path: imagePath,
+            name: imagePath.split('/').pop() || imagePath.split('\\').pop(),
+            url: `file://${imagePath}` // Use file:// prefix like old system
+        }));
+
+        this.app.currentImageIndex = 0;
+        // Per-folder state goes together; the project file below brings back this folder's own
+        this.app.annotations = {};
+        this.app.imageTags = {};
+        this.app.labelIds = {};
+
+        // Reopened folder - restore labels and annotations from its project file
+        const restored = this.app.projectManager.restoreProject(result.project);
+        if (restored) {
+            this.renderLabels();
+            this.updateLabelStats();
+        } else {
+            this.renderLabelIds();
+        }
+
+        // Crash recovery - replay journaled edits on top of the saved project
+        if (result.journal && result.journal.length > 0) {
+            this.app.historyManager.replayJournal(result.journal);
+            this.renderLabels();
+            this.updateLabelStats();
+            this.app.projectManager.scheduleSave();
+        }
+
+        this.renderImageList();
+        this.updateUI();
+
+        if (this.app.images.length > 0) {
+            // Use new professional system
+            this.app.loadImage(this.app.images[0]);
+        }
+
+        if (restored) {
+            NotificationManager.success(`${this.app.images.length} images loaded, previous project restored`);
+        } else {
+            NotificationManager.success(`${this.app.images.length} images loaded successfully`);
+        }
+        console.log(`✅ Loaded ${this.app.images.length} images`);
+    }
+
     // ========== LABEL MANAGEMENT ==========
     renderLabels() {
         const container = document.getElementById('labelsList');
@@ -211,12 +324,15 @@ export class UIManager {
 
             item.innerHTML = `
                 <div class="label-content">
-                    <div class="color-indicator" style="background-color: ${this.app.labelColors[label]}"></div>
-                    <span class="label-text">${label}</span>
+                    <div class="color-indicator"></div>
+                    <span class="label-text"></span>
                     <span class="label-shortcut">${index + 1}</span>
                 </div>
                 <button class="label-delete-btn">×</button>
             `;
+            // Labels and colours can come from imported files - never parse them as HTML
+            item.querySelector('.color-indicator').style.backgroundColor = this.app.labelColors[label];
+            item.querySelector('.label-text').textContent = label;
 
             // Add event listeners
             const deleteBtn = item.querySelector('.label-delete-btn');
@@ -234,12 +350,52 @@ export class UIManager {
             container.appendChild(item);
         });
 
+        this.renderLabelIds();
         console.log('✅ Labels rendered:', this.app.labels.length);
     }
 
+    // Dataset id per label (Cityscapes labelIds); empty inputs fall back to the label's position
+    renderLabelIds() {
+        const container = document.getElementById('labelIdsList');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        this.app.labels.forEach((label, index) => {
+            const row = document.createElement('label');
+            row.className = 'label-id-item';
+            row.innerHTML = `
+                <span class="label-text"></span>
+                <input type="number" min="0" max="255" placeholder="${index + 1}">
+            `;
+            row.querySelector('.label-text').textContent = label;
+
+            const input = row.querySelector('input');
+            if (Number.isInteger(this.app.labelIds[label])) {
+                input.value = this.app.labelIds[label];
+            }
+            input.addEventListener('change', () => {
+                const id = parseInt(input.value, 10);
+                if (input.value === '') {
+                    delete this.app.labelIds[label];
+                } else if (Number.isInteger(id) && String(id) === input.value.trim() && id >= 0 && id <= 255) {
+                    this.app.labelIds[label] = id;
+                } else {
+                    NotificationManager.error('Label ids must be whole numbers from 0 to 255');
+                    input.value = Number.isInteger(this.app.labelIds[label]) ? this.app.labelIds[label] : '';
+                    return;
+                }
+                this.app.projectManager.recordChange();
+            });
+
+            container.appendChild(row);
+        });
+    }
+
     selectLabel(label) {
         this.app.selectedLabel = label;
         this.renderLabels();
+        this.updateUI();
 
         // If keypoint tool is active, show preview
         if (this.app.currentTool === 'keypoint') {
@@ -258,6 +414,7 @@ export class UIManager {
         if (newLabel && !this.app.labels.includes(newLabel)) {
             this.app.labels.push(newLabel);
             this.renderLabels();
+            this.app.projectManager.recordChange();
             input.value = '';
             NotificationManager.success(`Label "${newLabel}" added`);
         } else if (this.app.labels.includes(newLabel)) {
@@ -271,7 +428,14 @@ export class UIManager {
             this.app.labels.splice(index, 1);
             if (this.app.selectedLabel === label) this.app.selectedLabel = null;
             delete this.app.labelColors[label];
+            delete this.app.labelIds[label];
+            Object.keys(this.app.imageTags).forEach(path => {
+                this.app.imageTags[path] = this.app.imageTags[path].filter(tag => tag !== label);
+                if (this.app.imageTags[path].length === 0) delete this.app.imageTags[path];
+            });
             this.renderLabels();
+            this.updateUI();
+            this.app.projectManager.recordChange();
             NotificationManager.success(`Label "${label}" deleted`);
         }
     }
@@ -470,6 +634,35 @@ export class UIManager {
         }
     }
 
+    // Adds or removes the selected label as a tag of the current image
+    toggleImageTag() {
+        const image = this.app.images[this.app.currentImageIndex];
+        if (!image) return;
+
+        const label = this.app.selectedLabel;
+        if (!label) {
+            NotificationManager.error('Select a label to tag the image with');
+            return;
+        }
+
+        const tags = this.app.imageTags[image.path] || [];
+        if (tags.includes(label)) {
+            const remaining = tags.filter(tag => tag !== label);
+            if (remaining.length > 0) {
+                this.app.imageTags[image.path] = remaining;
+            } else {
+                delete this.app.imageTags[image.path];
+            }
+            NotificationManager.info(`Tag "${label}" removed from image`);
+        } else {
+            this.app.imageTags[image.path] = [...tags, label];
+            NotificationManager.info(`Image tagged as "${label}"`);
+        }
+
+        this.updateUI();
+        this.app.projectManager.recordChange();
+    }
+
     // ========== UI UPDATES ==========
     updateUI() {
         // Update navigation buttons
@@ -487,6 +680,19 @@ export class UIManager {
             counter.textContent = `${this.app.currentImageIndex + 1} / ${this.app.images.length}`;
         }
 
+        // Update image tags
+        const currentImage = this.app.images[this.app.currentImageIndex];
+        const tags = currentImage ? this.app.imageTags[currentImage.path] || [] : [];
+        const tagImageBtn = document.getElementById('tagImageBtn');
+        const tagList = document.getElementById('imageTags');
+        if (tagImageBtn) {
+            tagImageBtn.disabled = !currentImage;
+            tagImageBtn.classList.toggle('active', tags.includes(this.app.selectedLabel));
+        }
+        if (tagList) {
+            tagList.textContent = tags.join(', ');
+        }
+
         // Update progress
         this.updateProgress();
     }
@@ -637,6 +843,7 @@ export class UIManager {
                 tool: 'TagiFLY v2.0.0',
                 labels: this.app.labels,
                 labelColors: this.app.labelColors,
+                labelIds: this.app.labelIds,
                 totalLabels: this.app.labels.length
             };
 
@@ -685,8 +892,23 @@ export class UIManager {
                 const existingLabels = new Set(this.app.labels);
                 const newLabels = labelData.labels.filter(label => !existingLabels.has(label));
 
+                // Label ids are a mapping for the whole set - they also update labels we already have
+                const labelIds = labelData.labelIds || {};
+                const importedIds = labelData.labels.filter(label =>
+                    Number.isInteger(labelIds[label]) && labelIds[label] >= 0 && labelIds[label] <= 255
+                );
+                importedIds.forEach(label => {
+                    this.app.labelIds[label] = labelIds[label];
+                });
+
                 if (newLabels.length === 0) {
-                    NotificationManager.info('No new labels to import');
+                    if (importedIds.length > 0) {
+                        this.renderLabelIds();
+                        this.app.projectManager.recordChange();
+                        NotificationManager.success(`Updated ${importedIds.length} label ids`);
+                    } else {
+                        NotificationManager.info('No new labels to import');
+                    }
                     return;
                 }
 
@@ -705,6 +927,7 @@ export class UIManager {
                 // Update UI
                 this.renderLabels();
                 this.updateLabelStats();
+                this.app.projectManager.recordChange();
 
                 NotificationManager.success(`Imported ${newLabels.length} new labels successfully!`);
                 console.log('✅ Labels imported successfully');
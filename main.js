@@ -1,9 +1,249 @@
-const { app, BrowserWindow, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, nativeImage } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { Readable } = require('stream');
+const { Worker } = require('worker_threads');
+const JSZip = require('jszip');
 
 let mainWindow;
 
+// Per-folder project file - lives next to the images
+const PROJECT_DIR = '.tagifly';
+const PROJECT_FILE = 'project.json';
+const JOURNAL_FILE = 'journal.jsonl';
+
+// mtime of the project.json this session last read or wrote, per folder. A file
+// that has changed since - or was never a TagiFLY project - is not overwritten silently.
+const knownProjects = new Map();
+const keptProjects = new Set();
+
+function getProjectPath(folderPath) {
+  return path.join(folderPath, PROJECT_DIR, PROJECT_FILE);
+}
+
+function readProject(folderPath) {
+  const projectPath = getProjectPath(folderPath);
+  if (!fs.existsSync(projectPath)) return null;
+
+  try {
+    const project = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+    if (project && typeof project.tool === 'string' && project.tool.startsWith('TagiFLY')) {
+      knownProjects.set(folderPath, fs.statSync(projectPath).mtimeMs);
+      keptProjects.delete(folderPath);
+    }
+    return project;
+  } catch (error) {
+    console.error('Project read error:', error);
+    return null;
+  }
+}
+
+function writeProject(folderPath, project) {
+  const projectPath = getProjectPath(folderPath);
+  fs.mkdirSync(path.dirname(projectPath), { recursive: true });
+
+  // Write to a temp file first so a crash mid-write never corrupts the project
+  const tempPath = `${projectPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(project, null, 2), 'utf8');
+  fs.renameSync(tempPath, projectPath);
+  knownProjects.set(folderPath, fs.statSync(projectPath).mtimeMs);
+
+  // Everything in the journal is now part of the saved project
+  truncateJournal(folderPath);
+  return projectPath;
+}
+
+// Synchronous so the closing flush can use it too. Returns false when the user keeps
+// the existing file; autosave then stays off for that folder until it is reopened.
+function canWriteProject(folderPath) {
+  if (keptProjects.has(folderPath)) return false;
+
+  const projectPath = getProjectPath(folderPath);
+  if (!fs.existsSync(projectPath)) return true;
+  if (fs.statSync(projectPath).mtimeMs === knownProjects.get(folderPath)) return true;
+
+  const response = dialog.showMessageBoxSync(mainWindow, {
+    type: 'warning',
+    buttons: ['Overwrite', 'Keep existing file'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Existing project file',
+    message: 'This folder already has a project file that TagiFLY did not write in this session.',
+    detail: `${projectPath}\n\nOverwrite it with the current labels and annotations? If you keep it, changes in this folder are not saved.`
+  });
+
+  if (response !== 0) {
+    keptProjects.add(folderPath);
+    return false;
+  }
+  return true;
+}
+
+function readImageFolder(folderPath) {
+  const imageFiles = fs.readdirSync(folderPath)
+    .filter(file => /\.(jpg|jpeg|png|bmp|gif)$/i.test(file))
+    .map(file => path.join(folderPath, file));
+
+  return { folderPath, imageFiles, project: readProject(folderPath) };
+}
+
+// ========== WRITE-AHEAD JOURNAL ==========
+// Every history action is appended as one JSON line the moment it happens, so a
+// renderer crash between autosaves can be replayed on top of project.json.
+
+function getJournalPath(folderPath) {
+  return path.join(folderPath, PROJECT_DIR, JOURNAL_FILE);
+}
+
+function appendJournal(folderPath, record) {
+  const journalPath = getJournalPath(folderPath);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.appendFileSync(journalPath, JSON.stringify(record) + '\n', 'utf8');
+}
+
+function readJournal(folderPath) {
+  const journalPath = getJournalPath(folderPath);
+  if (!fs.existsSync(journalPath)) return [];
+
+  const records = [];
+  for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // A torn last line means the crash happened mid-append - ignore it
+      console.error('Skipping unreadable journal line:', error.message);
+    }
+  }
+  return records;
+}
+
+function truncateJournal(folderPath) {
+  const journalPath = getJournalPath(folderPath);
+  if (fs.existsSync(journalPath)) {
+    fs.writeFileSync(journalPath, '', 'utf8');
+  }
+}
+
+// The session file names the folder being edited; it is only removed on a clean
+// close, so finding it at startup means the last session ended unexpectedly.
+function getSessionPath() {
+  return path.join(app.getPath('userData'), 'session.json');
+}
+
+function beginSession(folderPath) {
+  try {
+    fs.writeFileSync(getSessionPath(), JSON.stringify({ folderPath, started: new Date().toISOString() }), 'utf8');
+  } catch (error) {
+    console.error('Session write error:', error);
+  }
+}
+
+function endSession() {
+  const sessionPath = getSessionPath();
+  if (fs.existsSync(sessionPath)) {
+    fs.unlinkSync(sessionPath);
+  }
+}
+
+function readSession() {
+  const sessionPath = getSessionPath();
+  if (!fs.existsSync(sessionPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// ========== ANNOTATION IMPORT SOURCES ==========
+// Recursively collects annotation files so importers can match them to images
+
+function collectAnnotationFiles(rootPath, extensions) {
+  const files = [];
+  const walk = (dirPath) => {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.name.startsWith('.')) continue; // skip .tagifly and hidden folders
+
+      const entryPath = path.join(dirPath, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (extensions.includes(path.extname(entry.name).slice(1).toLowerCase())) {
+        files.push({
+          path: entryPath,
+          relativePath: path.relative(rootPath, entryPath),
+          name: entry.name,
+          content: fs.readFileSync(entryPath, 'utf8')
+        });
+      }
+    }
+  };
+
+  walk(rootPath);
+  return files;
+}
+
+// Same as collectAnnotationFiles, for datasets shipped as a .zip archive
+async function collectArchiveFiles(zipPath, extensions) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(zipPath));
+  const files = [];
+
+  for (const entry of Object.values(zip.files)) {
+    const name = path.posix.basename(entry.name);
+    if (entry.dir || name.startsWith('.') || entry.name.startsWith('__MACOSX/')) continue;
+    if (!extensions.includes(path.extname(name).slice(1).toLowerCase())) continue;
+
+    files.push({
+      path: `${zipPath}/${entry.name}`,
+      relativePath: entry.name,
+      name: name,
+      content: await entry.async('string')
+    });
+  }
+  return files;
+}
+
+// ========== TAGIFLY JSON RELINKING ==========
+// Export files store absolute image paths; when the folder has moved they are
+// resolved again relative to a newly selected folder.
+
+function splitPath(filePath) {
+  return filePath.split(/[\\/]/).filter(segment => segment !== '');
+}
+
+function commonDirectory(filePaths) {
+  if (filePaths.length === 0) return [];
+
+  let common = splitPath(filePaths[0]).slice(0, -1);
+  for (const filePath of filePaths.slice(1)) {
+    const dir = splitPath(filePath).slice(0, -1);
+    let i = 0;
+    while (i < common.length && i < dir.length && common[i] === dir[i]) i++;
+    common = common.slice(0, i);
+  }
+  return common;
+}
+
+function relinkImages(originalPaths, newFolder) {
+  const originalRoot = commonDirectory(originalPaths);
+  const pathMap = {};
+
+  originalPaths.forEach(originalPath => {
+    const segments = splitPath(originalPath);
+    const candidates = [
+      path.join(newFolder, ...segments.slice(originalRoot.length)), // same layout below the old root
+      path.join(newFolder, segments[segments.length - 1]) // flat folder, file name only
+    ];
+
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (found) pathMap[originalPath] = found;
+  });
+
+  return pathMap;
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -29,6 +269,127 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Dataset zip: entries are { name, content } | { name, folder: true } | { name, source }.
+// Sources are read as streams and the zip is streamed to disk, so image bytes are never
+// held in memory as a whole. Images are stored uncompressed - they are compressed already.
+// job.onProgress(percent, currentFile) is called while writing; job.cancel is set so the
+// write can be aborted from outside.
+// fs.createReadStream opens its file right away; JSZip builds every input up front,
+// so a large dataset would hold one descriptor per image. This opens the file only
+// when JSZip first reads from it, keeping a single image file open at a time.
+class LazyFileStream extends Readable {
+  constructor(sourcePath) {
+    super();
+    this.sourcePath = sourcePath;
+    this.source = null;
+  }
+
+  _read() {
+    if (this.source) {
+      this.source.resume();
+      return;
+    }
+
+    this.source = fs.createReadStream(this.sourcePath)
+      .on('data', chunk => {
+        if (!this.push(chunk)) this.source.pause();
+      })
+      .on('end', () => this.push(null))
+      .on('error', error => this.destroy(error));
+  }
+
+  _destroy(error, callback) {
+    if (this.source) this.source.destroy();
+    callback(error);
+  }
+}
+
+async function writeDatasetZip(entries, filePath, job = {}) {
+  const zip = new JSZip();
+  const missingImages = [];
+
+  entries.forEach(entry => {
+    if (entry.folder) {
+      zip.folder(entry.name);
+    } else if (entry.source) {
+      if (fs.existsSync(entry.source)) {
+        zip.file(entry.name, new LazyFileStream(entry.source), { compression: 'STORE' });
+      } else {
+        missingImages.push(entry.source);
+      }
+    } else {
+      zip.file(entry.name, entry.content);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const fail = error => {
+      output.destroy();
+      reject(error);
+    };
+
+    const onUpdate = metadata => {
+      if (job.onProgress) job.onProgress(metadata.percent, metadata.currentFile);
+    };
+    const zipStream = zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' }, onUpdate);
+
+    job.cancel = () => {
+      zipStream.unpipe(output);
+      zipStream.destroy();
+      fail(new Error('Export canceled'));
+    };
+
+    zipStream
+      .on('error', fail)
+      .pipe(output)
+      .on('error', fail)
+      .on('finish', resolve);
+  });
+
+  return { missingImages };
+}
+
+// Dataset folder: same entries as writeDatasetZip, written as a tree under rootPath.
+// policy 'overwrite' replaces files that already exist, 'keep' leaves them untouched -
+// except metadata entries (class lists, data.yaml, ...), which always match this export.
+// Files that are not part of the export are never removed.
+async function writeDatasetDirectory(entries, rootPath, policy, job = {}) {
+  const root = path.resolve(rootPath);
+  const missingImages = [];
+  let skippedFiles = 0;
+
+  for (const [index, entry] of entries.entries()) {
+    if (job.canceled) {
+      throw new Error('Export canceled');
+    }
+
+    const target = path.resolve(root, entry.name);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid export path: ${entry.name}`);
+    }
+
+    if (entry.folder) {
+      await fs.promises.mkdir(target, { recursive: true });
+    } else if (entry.source && !fs.existsSync(entry.source)) {
+      missingImages.push(entry.source);
+    } else if (policy === 'keep' && !entry.metadata && fs.existsSync(target)) {
+      skippedFiles++;
+    } else {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (entry.source) {
+        await fs.promises.copyFile(entry.source, target);
+      } else {
+        await fs.promises.writeFile(target, entry.content);
+      }
+    }
+
+    if (job.onProgress) job.onProgress((index + 1) / entries.length * 100, entry.name);
+  }
+
+  return { missingImages, skippedFiles };
+}
+
 // Klasör seçme dialog'u
 ipcMain.handle('select-folder', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
@@ -37,66 +398,396 @@ ipcMain.handle('select-folder', async () => {
 
   if (!result.canceled) {
     const folderPath = result.filePaths[0];
-    const imageFiles = fs.readdirSync(folderPath)
-      .filter(file => /\.(jpg|jpeg|png|bmp|gif)$/i.test(file))
-      .map(file => path.join(folderPath, file));
+    beginSession(folderPath);
 
-    return { folderPath, imageFiles };
+    // Restore previous work if this folder already has a project file
+    return readImageFolder(folderPath);
   }
   return null;
 });
 
-// Export fonksiyonu - dosya kaydetme
-ipcMain.handle('save-file', async (event, data, fileName, fileExtension) => {
-  const filters = [];
-
-  // Set up file filters based on extension
-  switch (fileExtension) {
-    case 'json':
-      filters.push({ name: 'JSON Files', extensions: ['json'] });
-      break;
-    case 'txt':
-      filters.push({ name: 'Text Files', extensions: ['txt'] });
-      break;
-    case 'xml':
-      filters.push({ name: 'XML Files', extensions: ['xml'] });
-      break;
-    case 'zip':
-      filters.push({ name: 'ZIP Files', extensions: ['zip'] });
-      break;
-    default:
-      filters.push({ name: 'All Files', extensions: ['*'] });
-  }
-
-  filters.push({ name: 'All Files', extensions: ['*'] });
+// Export target - chosen before the export job starts
+ipcMain.handle('choose-export-path', async (event, fileName, fileExtension, directory = false) => {
+  if (directory) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select export folder',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    return result.canceled ? { canceled: true } : { canceled: false, filePath: result.filePaths[0] };
+  }
+
+  const filterNames = { zip: 'ZIP Files', json: 'JSON Files', xml: 'XML Files', csv: 'CSV Files' };
+  const filters = [
+    { name: filterNames[fileExtension] || 'Files', extensions: [fileExtension] },
+    { name: 'All Files', extensions: ['*'] }
+  ];
 
   const result = await dialog.showSaveDialog(mainWindow, {
     defaultPath: fileName,
     filters: filters
   });
 
-  if (!result.canceled) {
-    try {
-      // Ensure the file has the correct extension
-      let filePath = result.filePath;
-      if (!filePath.endsWith(`.${fileExtension}`)) {
-        filePath += `.${fileExtension}`;
+  if (result.canceled) {
+    return { canceled: true };
+  }
+
+  let filePath = result.filePath;
+  if (!filePath.endsWith(`.${fileExtension}`)) {
+    filePath += `.${fileExtension}`;
+  }
+  return { canceled: false, filePath };
+});
+
+// ========== EXPORT IMAGES ==========
+// Letterbox padding, the grey YOLO training pipelines pad with
+const LETTERBOX_GRAY = 114;
+
+// nativeImage decodes JPEGs without applying their EXIF orientation, while the renderer -
+// and so every annotation - shows them turned. Moves each pixel to where it is displayed.
+function orientImage(image, orientation) {
+  const { width, height } = image.getSize();
+  const source = new Uint32Array(new Uint8Array(image.toBitmap()).buffer);
+  const swap = orientation >= 5;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const target = new Uint32Array(source.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let tx = x;
+      let ty = y;
+      switch (orientation) {
+        case 2: tx = width - 1 - x; break;
+        case 3: tx = width - 1 - x; ty = height - 1 - y; break;
+        case 4: ty = height - 1 - y; break;
+        case 5: tx = y; ty = x; break;
+        case 6: tx = height - 1 - y; ty = x; break;
+        case 7: tx = height - 1 - y; ty = width - 1 - x; break;
+        case 8: tx = y; ty = width - 1 - x; break;
       }
+      target[ty * outWidth + tx] = source[y * width + x];
+    }
+  }
 
-      // Handle different data types
-      if (fileExtension === 'zip') {
-        // For ZIP files, data is a Uint8Array - convert to Buffer properly
-        const buffer = Buffer.from(data);
-        fs.writeFileSync(filePath, buffer);
-      } else {
-        // For text files (JSON, XML, TXT)
-        fs.writeFileSync(filePath, data, 'utf8');
+  return nativeImage.createFromBitmap(Buffer.from(target.buffer), { width: outWidth, height: outHeight });
+}
+
+// Places a scaled image at output.x, output.y on a grey output.width x output.height canvas
+function letterboxImage(image, output) {
+  const { width, height } = image.getSize();
+  const pixels = image.toBitmap();
+  const canvas = Buffer.alloc(output.width * output.height * 4, LETTERBOX_GRAY);
+  for (let i = 3; i < canvas.length; i += 4) canvas[i] = 255;
+
+  const rowBytes = Math.min(width, output.width - output.x) * 4;
+  for (let y = 0; y < height && output.y + y < output.height; y++) {
+    pixels.copy(canvas, ((output.y + y) * output.width + output.x) * 4, y * width * 4, y * width * 4 + rowBytes);
+  }
+  return nativeImage.createFromBitmap(canvas, { width: output.width, height: output.height });
+}
+
+// Pixel work for the export worker: crops every output rect out of the source, scales and
+// pads it, and writes it - JPEG for .jpg/.jpeg outputs, PNG otherwise. Only sources
+// nativeImage can decode (PNG, JPEG) are re-encoded.
+async function renderExportImages(request) {
+  let image = nativeImage.createFromPath(request.source);
+  if (image.isEmpty()) {
+    throw new Error(`Could not decode image: ${path.basename(request.source)}`);
+  }
+  if (request.orientation > 1) {
+    image = orientImage(image, request.orientation);
+  }
+
+  for (const output of request.outputs) {
+    let piece = image.crop(output.rect);
+    if (output.drawWidth !== output.rect.width || output.drawHeight !== output.rect.height) {
+      piece = piece.resize({ width: output.drawWidth, height: output.drawHeight, quality: 'best' });
+    }
+    if (output.drawWidth !== output.width || output.drawHeight !== output.height) {
+      piece = letterboxImage(piece, output);
+    }
+
+    const bytes = /\.jpe?g$/i.test(output.filePath) ? piece.toJPEG(95) : piece.toPNG();
+    await fs.promises.writeFile(output.filePath, bytes);
+  }
+}
+
+// Runs exportWorker.js on a job description and resolves with what it built:
+// { entries, missingImages } for datasets, { content, missingImages } for single files.
+// state.cancel stops the worker.
+function buildExportDataset(job, workDir, state, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'exportWorker.js'), { workerData: { job, workDir } });
+    let finished = false;
+    const finish = (callback, value) => {
+      if (finished) return;
+      finished = true;
+      worker.terminate();
+      callback(value);
+    };
+
+    state.cancel = () => finish(reject, new Error('Export canceled'));
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        onProgress(message.done, message.total);
+      } else if (message.type === 'render') {
+        renderExportImages(message.request)
+          .then(() => worker.postMessage({ type: 'rendered', id: message.id }))
+          .catch(error => worker.postMessage({ type: 'rendered', id: message.id, error: error.message }));
+      } else if (message.type === 'done') {
+        finish(resolve, message);
+      } else if (message.type === 'error') {
+        finish(reject, new Error(message.error));
+      }
+    });
+    worker.on('error', error => finish(reject, error));
+    worker.on('exit', () => finish(reject, new Error('Export worker stopped unexpectedly')));
+  });
+}
+
+// Export job - builds the described dataset ({ format, options, project }) in a worker, then
+// writes it as a zip, as a folder tree ({ directory, policy }) or, for single-file formats,
+// as that file, reporting progress; can be canceled with cancel-export-job
+const exportJobs = new Map();
+
+ipcMain.handle('run-export-job', async (event, jobId, filePath, job) => {
+  const state = {
+    canceled: false,
+    onProgress: (percent, currentFile) => {
+      // Coarse updates only - one IPC message per percent
+      const rounded = Math.floor(percent);
+      if (rounded === state.lastPercent) return;
+      state.lastPercent = rounded;
+      event.sender.send('export-progress', jobId, { phase: 'writing', percent: rounded, currentFile });
+    }
+  };
+  exportJobs.set(jobId, state);
+  let workDir = null;
+
+  try {
+    // Prepared images and generated binaries live here until the dataset is written
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tagifly-export-'));
+    const dataset = await buildExportDataset(job, workDir, state, (done, total) => {
+      const percent = Math.min(100, done / Math.max(1, total) * 100);
+      event.sender.send('export-progress', jobId, { phase: 'preparing', done, total, percent });
+    });
+    if (state.canceled) {
+      throw new Error('Export canceled');
+    }
+
+    let missingImages = [];
+    let skippedFiles = 0;
+    if (dataset.entries && job.directory) {
+      ({ missingImages, skippedFiles } = await writeDatasetDirectory(dataset.entries, filePath, job.policy, state));
+    } else if (dataset.entries) {
+      ({ missingImages } = await writeDatasetZip(dataset.entries, filePath, state));
+    } else {
+      await fs.promises.writeFile(filePath, dataset.content, 'utf8');
+    }
+    missingImages = [...dataset.missingImages, ...missingImages];
+    return { success: true, path: filePath, missingImages, skippedFiles };
+  } catch (error) {
+    // A partial zip/file is useless; files already written into a folder are left alone
+    if (!job.directory) {
+      fs.rmSync(filePath, { force: true });
+    }
+    if (state.canceled) {
+      return { success: false, canceled: true };
+    }
+    console.error('Export job error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    exportJobs.delete(jobId);
+    if (workDir) {
+      fs.promises.rm(workDir, { recursive: true, force: true })
+        .catch(error => console.error('Could not remove export work folder:', error));
+    }
+  }
+});
+
+ipcMain.on('cancel-export-job', (event, jobId) => {
+  const state = exportJobs.get(jobId);
+  if (!state) return;
+
+  state.canceled = true;
+  if (state.cancel) state.cancel();
+});
+
+// Proje kaydetme - autosave
+ipcMain.handle('save-project', async (event, folderPath, project) => {
+  try {
+    if (!canWriteProject(folderPath)) {
+      return { success: true, skipped: true };
+    }
+
+    const projectPath = writeProject(folderPath, project);
+    return { success: true, path: projectPath };
+  } catch (error) {
+    console.error('Project save error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Synchronous variant used by the renderer while the window is closing.
+// project is null when there is nothing unsaved; either way the session ends cleanly.
+ipcMain.on('flush-project', (event, folderPath, project) => {
+  try {
+    if (project && canWriteProject(folderPath)) {
+      writeProject(folderPath, project);
+    }
+    endSession();
+    event.returnValue = { success: true };
+  } catch (error) {
+    console.error('Project flush error:', error);
+    event.returnValue = { success: false, error: error.message };
+  }
+});
+
+// Journal - fire-and-forget from the renderer, written synchronously here
+ipcMain.on('journal-append', (event, folderPath, record) => {
+  try {
+    appendJournal(folderPath, record);
+  } catch (error) {
+    console.error('Journal append error:', error);
+  }
+});
+
+// Startup check - offer to replay the journal after an unclean shutdown
+ipcMain.handle('check-recovery', async () => {
+  const session = readSession();
+  if (!session || !session.folderPath || !fs.existsSync(session.folderPath)) {
+    endSession();
+    return null;
+  }
+
+  const journal = readJournal(session.folderPath);
+  if (journal.length === 0) {
+    endSession();
+    return null;
+  }
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    buttons: ['Recover', 'Discard'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Recover unsaved work',
+    message: 'TagiFLY was not closed properly.',
+    detail: `${journal.length} unsaved change(s) were found for ${session.folderPath}. Replay them on top of the last saved project?`
+  });
+
+  if (response !== 0) {
+    truncateJournal(session.folderPath);
+    endSession();
+    return null;
+  }
+
+  beginSession(session.folderPath);
+  return { ...readImageFolder(session.folderPath), journal };
+});
+
+// Import kaynağı seçme - klasör veya dosya
+ipcMain.handle('read-annotation-source', async (event, options) => {
+  const { title, directory, archive, extensions } = options;
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title,
+    properties: directory ? ['openDirectory'] : ['openFile'],
+    filters: directory ? [] : [{ name: archive ? 'ZIP Archives' : 'Annotation Files', extensions: archive ? ['zip'] : extensions }]
+  });
+
+  if (result.canceled) return null;
+
+  try {
+    const sourcePath = result.filePaths[0];
+    let files;
+
+    if (directory) {
+      files = collectAnnotationFiles(sourcePath, extensions);
+    } else if (archive) {
+      files = await collectArchiveFiles(sourcePath, extensions);
+    } else {
+      files = [{
+        path: sourcePath,
+        relativePath: path.basename(sourcePath),
+        name: path.basename(sourcePath),
+        content: fs.readFileSync(sourcePath, 'utf8')
+      }];
+    }
+
+    return { success: true, sourcePath, files };
+  } catch (error) {
+    console.error('Import read error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// TagiFLY JSON export'unu proje olarak açma
+ipcMain.handle('open-annotations-file', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Open TagiFLY annotations',
+    properties: ['openFile'],
+    filters: [{ name: 'TagiFLY JSON', extensions: ['json'] }]
+  });
+
+  if (result.canceled) return null;
+
+  try {
+    const document = JSON.parse(fs.readFileSync(result.filePaths[0], 'utf8'));
+    if (!Array.isArray(document.images) || !document.annotations) {
+      throw new Error('Not a TagiFLY JSON export (images and annotations are required)');
+    }
+
+    const originalPaths = document.images.map(image => image.path).filter(Boolean);
+    let pathMap = {};
+    originalPaths.forEach(originalPath => {
+      if (fs.existsSync(originalPath)) pathMap[originalPath] = originalPath;
+    });
+
+    let folderPath = null;
+
+    const missingCount = originalPaths.length - Object.keys(pathMap).length;
+    if (missingCount > 0) {
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        buttons: ['Select Folder', 'Continue Without'],
+        defaultId: 0,
+        cancelId: 1,
+        title: 'Images not found',
+        message: `${missingCount} of ${originalPaths.length} images were not found at their original location.`,
+        detail: 'If the image folder has moved, select its new location to relink the images by file name.'
+      });
+
+      if (response === 0) {
+        const folderResult = await dialog.showOpenDialog(mainWindow, { properties: ['openDirectory'] });
+        if (!folderResult.canceled) {
+          folderPath = folderResult.filePaths[0];
+          pathMap = { ...relinkImages(originalPaths, folderPath), ...pathMap };
+        }
       }
-      return { success: true, path: filePath };
-    } catch (error) {
-      console.error('File save error:', error);
-      return { success: false, error: error.message };
     }
+
+    const imageFiles = Object.values(pathMap);
+    if (imageFiles.length === 0) {
+      throw new Error('None of the images in this file could be found');
+    }
+
+    // Images load from a single folder, so the first one tells where the project lives
+    if (!folderPath) {
+      folderPath = path.dirname(imageFiles[0]);
+    }
+    beginSession(folderPath);
+
+    return {
+      success: true,
+      document,
+      folderPath,
+      imageFiles,
+      pathMap,
+      missing: originalPaths.filter(originalPath => !pathMap[originalPath])
+    };
+  } catch (error) {
+    console.error('Open annotations error:', error);
+    return { success: false, error: error.message };
   }
-  return { success: false, canceled: true };
-});
\ No newline at end of file
+});